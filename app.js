@@ -0,0 +1,5725 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const express = require("express");
+const cors = require("cors");
+const cookieParser = require("cookie-parser");
+const jwt = require("jsonwebtoken");
+const multer = require("multer");
+const sharp = require("sharp");
+const { ObjectId } = require("mongodb");
+
+// order pricing (all math in cents, rounded once)
+const CURRENCY = "usd";
+const DELIVERY_FEE_CENTS = Math.round(
+  Number(process.env.DELIVERY_FEE || 0) * 100
+);
+const MAX_ITEM_QUANTITY = 20;
+const MAX_PAGE_SIZE = 50;
+// how often requests check for suspensions that ran out
+const SUSPENSION_CHECK_MS = 60 * 1000;
+const PRICE_BUCKETS = [0, 5, 10, 20, 50];
+
+// GET /meals/popular score: an order counts for more than a favorite
+const POPULARITY_WEIGHTS = { favorites: 1, orders: 2 };
+
+// GET /meals/recommended
+// how much each of the user's signals says they like a meal
+const AFFINITY_WEIGHTS = { favorite: 3, order: 2 };
+// score parts: bought by the same people, same chef / category as liked
+// meals, and the meal's own average rating
+const RECOMMENDATION_WEIGHTS = {
+  coOrdered: 3,
+  chef: 2,
+  category: 1.5,
+  rating: 0.5,
+};
+const RECENT_ORDER_DAYS = 7; // ordered this recently = not recommended
+const CO_BUYER_SAMPLE = 500; // other users looked at for co-occurrence
+const DEAD_ORDER_STATUSES = ["cancelled", "rejected"];
+
+// fields a chef may set on their own meal; everything else is server-owned
+const EDITABLE_MEAL_FIELDS = [
+  "foodName",
+  "foodImage",
+  "price",
+  "ingredients",
+  "category",
+  "description",
+  "deliveryArea",
+  "estimatedDeliveryTime",
+  "dailyLimit",
+  "deliverySlots",
+];
+
+// what a sign-up may set on the new user; the rest is server-owned
+// (role, chefId, ratings, counters, suspension, ...) and dropped
+const SIGNUP_USER_FIELDS = ["email", "name", "image", "address"];
+
+// delivery slots look like "12:00-13:00"
+const SLOT_PATTERN = /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_BOOKING_DAYS = 14;
+
+// split a meal body into allowed fields + names of rejected ones
+const pickMealFields = (body = {}) => {
+  const fields = {};
+  const rejected = [];
+  for (const [key, value] of Object.entries(body)) {
+    if (EDITABLE_MEAL_FIELDS.includes(key)) fields[key] = value;
+    else rejected.push(key);
+  }
+  if ("price" in fields) {
+    const price = Number(fields.price);
+    if (!Number.isFinite(price) || price <= 0) rejected.push("price");
+    else fields.price = price;
+  }
+  // null = no daily cap
+  if ("dailyLimit" in fields && fields.dailyLimit !== null) {
+    const limit = Number(fields.dailyLimit);
+    if (!Number.isInteger(limit) || limit < 1) rejected.push("dailyLimit");
+    else fields.dailyLimit = limit;
+  }
+  if ("deliverySlots" in fields) {
+    const slots = fields.deliverySlots;
+    if (!Array.isArray(slots) || !slots.every((s) => SLOT_PATTERN.test(s)))
+      rejected.push("deliverySlots");
+    else fields.deliverySlots = [...new Set(slots)].sort();
+  }
+  return { fields, rejected };
+};
+
+// "YYYY-MM-DD" (UTC) for a date, capacity is counted per meal per day
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next;
+};
+
+// rating fields every meal starts with (kept in sync from reviews)
+const emptyMealRating = () => ({
+  avgRating: 0,
+  totalReviews: 0,
+  ratingHistogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+});
+
+const isValidRating = (rating) =>
+  Number.isInteger(rating) && rating >= 1 && rating <= 5;
+
+// error a helper throws for the route to send as-is
+const httpError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+// CURSOR PAGINATION for list endpoints, newest first.
+// the cursor holds the last item's sort value + _id, so pages don't shift
+// when new documents come in. response: { items, nextCursor, total }
+const DEFAULT_PAGE_SIZE = 20;
+
+const encodeCursor = (doc, sortField) => {
+  // "a.b" sort fields read the nested value
+  const value = sortField.split(".").reduce((v, key) => v?.[key], doc);
+  return Buffer.from(
+    JSON.stringify({
+      v: value instanceof Date ? value.toISOString() : (value ?? null),
+      date: value instanceof Date,
+      id: doc._id.toString(),
+    })
+  ).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, date, id } = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf-8")
+    );
+    if (!ObjectId.isValid(id)) throw new Error();
+    return { value: date ? new Date(v) : v, id: new ObjectId(id) };
+  } catch {
+    throw httpError(400, "Invalid cursor");
+  }
+};
+
+// ?cursor= &limit=
+const getListParams = (req) => ({
+  cursor: req.query.cursor,
+  limit: Math.min(
+    Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  ),
+});
+
+// ?from= &to= → mongo range on field, {} when neither is given
+const getDateFilter = (field, { from, to }) => {
+  if (!from && !to) return {};
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  if (Object.values(range).some((d) => isNaN(d)))
+    throw httpError(400, "Invalid from/to date");
+  return { [field]: range };
+};
+
+const paginate = async (
+  collection,
+  { filter = {}, sortField = "_id", cursor, limit, projection }
+) => {
+  let query = filter;
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor);
+    // missing sort values sort last when descending
+    const after =
+      sortField === "_id"
+        ? { _id: { $lt: id } }
+        : value === null
+          ? { [sortField]: null, _id: { $lt: id } }
+          : {
+              $or: [
+                { [sortField]: { $lt: value } },
+                { [sortField]: value, _id: { $lt: id } },
+                { [sortField]: null },
+              ],
+            };
+    query = { $and: [filter, after] };
+  }
+
+  const items = await collection
+    .find(query, { projection })
+    .sort({ [sortField]: -1, _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+  const total = await collection.countDocuments(filter);
+
+  return {
+    items,
+    nextCursor: hasMore
+      ? encodeCursor(items[items.length - 1], sortField)
+      : null,
+    total,
+  };
+};
+
+// caller ip behind vercel's proxy
+const getClientIp = (req) =>
+  req?.headers?.["x-forwarded-for"]?.split(",")[0].trim() || req?.ip || null;
+
+// user input → literal regex source
+const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// share of each delivered + paid order the platform keeps (0.1 = 10%)
+const PLATFORM_COMMISSION_RATE = Number(
+  process.env.PLATFORM_COMMISSION_RATE ?? 0.1
+);
+const REFUNDABLE_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+// money was taken at some point (a full refund nets it back to 0)
+const CHARGED_PAYMENT_STATUSES = [...REFUNDABLE_PAYMENT_STATUSES, "refunded"];
+// checkout only opens for an unpaid order the chef can still fulfil
+const PAYABLE_ORDER_STATUSES = ["pending", "accepted"];
+const MIN_PAYOUT = Number(process.env.MIN_PAYOUT || 10);
+
+// roles a user can apply for through /role-requests
+const REQUESTABLE_ROLES = ["chef", "admin"];
+
+// chef applications must describe the kitchen
+const validateChefApplication = (application) => {
+  if (!application || typeof application !== "object")
+    return "application required for chef requests";
+  const { kitchenAddress, experience, sampleDishes } = application;
+  if (typeof kitchenAddress !== "string" || !kitchenAddress.trim())
+    return "application.kitchenAddress required";
+  if (typeof experience !== "string" || !experience.trim())
+    return "application.experience required";
+  if (
+    !Array.isArray(sampleDishes) ||
+    sampleDishes.length === 0 ||
+    sampleDishes.length > 10 ||
+    !sampleDishes.every((dish) => typeof dish === "string" && dish.trim())
+  )
+    return "application.sampleDishes must list 1 to 10 dishes";
+  return null;
+};
+
+// RATE LIMITS: "<max requests>/<window seconds>" per token email and per ip,
+// each overridable with RATE_LIMIT_<NAME> (e.g. RATE_LIMIT_ORDERS=20/3600)
+const RATE_LIMIT_DEFAULTS = {
+  reviews: "10/3600",
+  orders: "20/3600",
+  role_requests: "5/86400",
+  favorites: "60/3600",
+  payments: "20/3600",
+  uploads: "30/3600",
+  follows: "60/3600",
+  exports: "10/3600",
+};
+
+const parseRateLimit = (spec) => {
+  const [max, seconds] = String(spec).split("/").map(Number);
+  if (!Number.isInteger(max) || !(seconds > 0)) return null;
+  return { max, windowMs: seconds * 1000 };
+};
+
+const RATE_LIMITS = Object.fromEntries(
+  Object.entries(RATE_LIMIT_DEFAULTS).map(([name, spec]) => [
+    name,
+    parseRateLimit(process.env[`RATE_LIMIT_${name.toUpperCase()}`]) ||
+      parseRateLimit(spec),
+  ])
+);
+const RATE_LIMIT_DISABLED = process.env.RATE_LIMIT_DISABLED === "true";
+
+// PUBLIC CHEF PROFILES: the only user fields anyone may see
+const PUBLIC_CHEF_FIELDS = {
+  chefId: 1,
+  name: 1,
+  image: 1,
+  bio: 1,
+  avgRating: 1,
+  totalReviews: 1,
+  deliveredOrders: 1,
+  followersCount: 1,
+  createdAt: 1,
+};
+// PUBLIC MEALS: fields no public meal response may show (the chef is
+// identified by chefId)
+const PUBLIC_MEAL_PROJECTION = { chefEmail: 0, imageUpload: 0 };
+// ?sortBy= for GET /chefs → stored field
+const CHEF_SORTS = {
+  rating: "avgRating",
+  orders: "deliveredOrders",
+  newest: "createdAt",
+};
+const MAX_BIO_LENGTH = 1000;
+
+// in-app notification types; users can switch each one off
+const NOTIFICATION_TYPES = [
+  "order_status",
+  "role_request",
+  "payment",
+  "review",
+];
+
+const PROMO_TYPES = ["percent", "fixed"];
+
+// discount on the food subtotal, never more than the subtotal itself
+const computeDiscountCents = (promo, subtotalCents) => {
+  const cents =
+    promo.type === "percent"
+      ? Math.round((subtotalCents * promo.value) / 100)
+      : toCents(promo.value);
+  return Math.min(cents, subtotalCents);
+};
+
+const STATS_INTERVALS = ["day", "week", "month"];
+const STATS_TOP_LIMIT = 10;
+
+// IMAGE UPLOADS: one file in the "image" field, re-encoded to webp at
+// each width below (never upscaled), metadata stripped
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_IMAGE_MB = Number(process.env.MAX_IMAGE_MB || 5);
+const IMAGE_SIZES = { thumb: 200, medium: 600, large: 1200 };
+
+// buffer → [{ size, body }]; the content is checked, not just the header
+const renderImageSizes = async (buffer) => {
+  let format;
+  try {
+    ({ format } = await sharp(buffer).metadata());
+  } catch {
+    throw httpError(415, "File is not a readable image");
+  }
+  if (!["jpeg", "png", "webp"].includes(format))
+    throw httpError(415, "Only JPEG, PNG or WebP images");
+
+  return Promise.all(
+    Object.entries(IMAGE_SIZES).map(async ([size, width]) => ({
+      size,
+      body: await sharp(buffer)
+        .rotate() // apply exif orientation before it is dropped
+        .resize({ width, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer(),
+    }))
+  );
+};
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// order lifecycle: status → next status → who may make that move
+// "chef" = owning chef (order.chefEmail), "customer" = the ordering user
+const ORDER_TRANSITIONS = {
+  pending: {
+    accepted: ["chef", "admin"],
+    rejected: ["chef", "admin"],
+    cancelled: ["customer", "chef", "admin"],
+  },
+  accepted: {
+    cooking: ["chef", "admin"],
+    cancelled: ["chef", "admin"],
+  },
+  cooking: {
+    "out-for-delivery": ["chef", "admin"],
+  },
+  "out-for-delivery": {
+    delivered: ["chef", "admin"],
+  },
+  delivered: {},
+  cancelled: {},
+  rejected: {},
+};
+
+// every capacity the user holds on this order
+const getOrderActorRoles = (order, user) => {
+  const roles = [];
+  if (user?.role === "admin") roles.push("admin");
+  if (user?.role === "chef" && order.chefEmail === user.email)
+    roles.push("chef");
+  if (order.userEmail === user?.email) roles.push("customer");
+  return roles;
+};
+
+// RECEIPTS + EXPORTS
+// user text → safe inside html
+const escapeHtml = (text) =>
+  String(text ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ]
+  );
+
+const formatMoney = (amount, currency = CURRENCY) =>
+  `${Number(amount || 0).toFixed(2)} ${currency.toUpperCase()}`;
+
+const formatDate = (date) =>
+  date instanceof Date ? date.toISOString().slice(0, 10) : (date ?? "");
+
+// order + its payments record → standalone printable html page
+const renderReceipt = (order, payment) => {
+  const currency = order.currency || payment?.currency || CURRENCY;
+  const money = (amount) => escapeHtml(formatMoney(amount, currency));
+  const reference =
+    payment?.paymentIntentId ||
+    order.paymentIntentId ||
+    payment?.sessionId ||
+    null;
+  const refunded =
+    (payment?.amountRefundedCents ?? order.refundedCents ?? 0) / 100;
+
+  const itemRows = (order.items || [])
+    .map(
+      (item) => `
+      <tr>
+        <td>${escapeHtml(item.mealName)}</td>
+        <td class="num">${escapeHtml(item.quantity)}</td>
+        <td class="num">${money(item.unitPrice)}</td>
+        <td class="num">${money(item.lineTotal)}</td>
+      </tr>`
+    )
+    .join("");
+
+  const totalRows = [
+    ["Subtotal", money(order.subtotal)],
+    ["Delivery fee", money(order.deliveryFee)],
+    order.discountCents > 0 && [
+      `Discount (${escapeHtml(order.discount?.code)})`,
+      `-${money(order.discount?.amount)}`,
+    ],
+    ["Total", `<strong>${money(order.total)}</strong>`],
+    refunded > 0 && ["Refunded", `-${money(refunded)}`],
+  ]
+    .filter(Boolean)
+    .map(
+      ([label, value]) => `
+      <tr><td colspan="3">${label}</td><td class="num">${value}</td></tr>`
+    )
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Receipt #${escapeHtml(order._id)}</title>
+  <style>
+    body { font-family: sans-serif; max-width: 640px; margin: 2em auto; color: #222; }
+    table { width: 100%; border-collapse: collapse; margin: 1em 0; }
+    th, td { padding: 6px 4px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+  </style>
+</head>
+<body>
+  <h1>Receipt</h1>
+  <p>
+    Order #${escapeHtml(order._id)}<br>
+    Ordered ${escapeHtml(formatDate(order.createdAt))},
+    delivery ${escapeHtml(order.deliveryDate)}
+    ${order.deliverySlot ? escapeHtml(order.deliverySlot) : ""}<br>
+    Chef ${escapeHtml(order.chefId || "")}
+  </p>
+  <p>
+    ${escapeHtml(order.userName || "")}<br>
+    ${escapeHtml(order.userEmail)}<br>
+    ${escapeHtml(order.userAddress || "")}
+  </p>
+  <table>
+    <thead>
+      <tr><th>Item</th><th class="num">Qty</th><th class="num">Price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${itemRows}${totalRows}
+    </tbody>
+  </table>
+  <p>
+    Payment: ${escapeHtml(payment?.status || order.paymentStatus)}
+    ${order.paidAt ? `on ${escapeHtml(formatDate(order.paidAt))}` : ""}<br>
+    ${reference ? `Reference: ${escapeHtml(reference)}` : ""}
+  </p>
+</body>
+</html>
+`;
+};
+
+// one csv line. strings a spreadsheet would run as a formula get a
+// leading ' so an exported customer name can't execute
+const toCsvRow = (values) =>
+  values
+    .map((value) => {
+      if (value === null || value === undefined) return "";
+      let text = String(value);
+      if (typeof value === "string" && /^[=+\-@\t\r]/.test(text))
+        text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",") + "\r\n";
+
+// GET /orders/export: header → value for each order
+const ORDER_CSV_COLUMNS = {
+  orderId: (o) => o._id.toString(),
+  createdAt: (o) =>
+    o.createdAt instanceof Date ? o.createdAt.toISOString() : o.createdAt,
+  deliveryDate: (o) => o.deliveryDate,
+  deliverySlot: (o) => o.deliverySlot,
+  orderStatus: (o) => o.orderStatus,
+  paymentStatus: (o) => o.paymentStatus,
+  userEmail: (o) => o.userEmail,
+  userName: (o) => o.userName,
+  chefEmail: (o) => o.chefEmail,
+  items: (o) =>
+    (o.items || []).map((i) => `${i.mealName} x${i.quantity}`).join("; "),
+  subtotal: (o) => o.subtotal,
+  deliveryFee: (o) => o.deliveryFee,
+  discount: (o) => o.discount?.amount ?? 0,
+  promoCode: (o) => o.discount?.code,
+  total: (o) => o.total,
+  refunded: (o) => fromCents(o.refundedCents || 0),
+  currency: (o) => o.currency,
+};
+
+const STRIPE_WEBHOOK_PATH = "/stripe/webhook";
+
+// FIRST-PARTY SESSIONS
+// a verified firebase token is swapped for a short-lived server-signed jwt
+// (carries email + role) in an HttpOnly cookie, plus a refresh token that is
+// stored hashed in the sessions collection so logout can revoke it
+const SESSION_SECRET = process.env.SESSION_JWT_SECRET;
+const ACCESS_TOKEN_TTL_SEC = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const ACCESS_COOKIE = "session";
+const REFRESH_COOKIE = "refresh_token";
+
+// client runs on another origin in production → SameSite=None needs Secure.
+// that also sends the cookies on cross-site requests, so cookie writes are
+// checked against ALLOWED_ORIGINS (see the origin check in createApp)
+const isProduction = process.env.NODE_ENV === "production";
+const cookieOptions = (maxAge, path = "/") => ({
+  httpOnly: true,
+  secure: isProduction,
+  sameSite: isProduction ? "none" : "lax",
+  maxAge,
+  path,
+});
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Origin, or the origin part of Referer when a browser left Origin out
+const getRequestOrigin = (req) => {
+  if (req.headers.origin) return req.headers.origin;
+  try {
+    return new URL(req.headers.referer).origin;
+  } catch {
+    return null;
+  }
+};
+
+const signAccessToken = ({ email, role, sid }) =>
+  jwt.sign({ email, role, sid }, SESSION_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SEC,
+    issuer: "cooking-app-server",
+  });
+
+// payload or null, never throws
+const readAccessToken = (token) => {
+  if (!SESSION_SECRET || !token) return null;
+  try {
+    return jwt.verify(token, SESSION_SECRET, {
+      algorithms: ["HS256"],
+      issuer: "cooking-app-server",
+    });
+  } catch {
+    return null;
+  }
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// SAFE auth header parsing
+const getTokenFromHeader = (req) => {
+  const auth = req.headers?.authorization;
+  if (!auth) return null;
+  const parts = auth.split(" ");
+  if (parts.length !== 2) return null;
+  return parts[1];
+};
+
+// EventSource can't send headers, so streams may pass ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// LIVE ORDER FEED
+// order events go through one in-process bus. When the orders change stream
+// is running it is the only publisher; otherwise routes publish directly.
+const SSE_HEARTBEAT_MS = 25000;
+const SSE_RETRY_MS = 5000;
+const ORDER_FEED_BUFFER = 500;
+
+// which events a given user sees: chefs their incoming orders,
+// customers their own orders
+const orderEventVisibleTo = (event, email) =>
+  (event.order.chefEmail === email &&
+    ["order.created", "order.cancelled"].includes(event.type)) ||
+  event.order.userEmail === email;
+
+// builds the express app on an already connected db. stripe, verifyToken
+// (firebase id token → { email }) and storage (see storage.js) are passed
+// in so tests can swap in local stand-ins. app.locals.ready resolves once
+// indexes exist.
+function createApp({
+  db,
+  stripe,
+  verifyToken,
+  storage,
+  watchOrderChanges = true,
+}) {
+  const app = express();
+  const allowedOrigins = [
+    process.env.CLIENT_URL,
+    "http://localhost:5173",
+    "http://localhost:5174",
+  ].filter(Boolean);
+  app.use(
+    cors({
+      origin: allowedOrigins,
+      credentials: true,
+      optionSuccessStatus: 200,
+    })
+  );
+
+  // stripe webhook needs the raw body for signature check, so skip json there
+  const jsonParser = express.json();
+  app.use((req, res, next) => {
+    if (req.originalUrl === STRIPE_WEBHOOK_PATH) return next();
+    jsonParser(req, res, next);
+  });
+
+  app.use(cookieParser());
+
+  // CSRF: a write that carries our session cookies must come from our own
+  // client. bearer-token calls (and the stripe webhook) send no cookies and
+  // aren't affected
+  app.use((req, res, next) => {
+    if (SAFE_METHODS.includes(req.method)) return next();
+    if (!req.cookies?.[ACCESS_COOKIE] && !req.cookies?.[REFRESH_COOKIE])
+      return next();
+    if (allowedOrigins.includes(getRequestOrigin(req))) return next();
+    res.status(403).send({ message: "Cross-site request blocked" });
+  });
+
+  // local-disk storage serves its own files
+  if (storage.dir) {
+    app.use(
+      storage.urlPath,
+      express.static(storage.dir, { immutable: true, maxAge: "365d" })
+    );
+  }
+
+  // jwt middleware
+  // accepts the session cookie, a session jwt as bearer, or a firebase id
+  // token as bearer. session tokens also set req.tokenRole and only count
+  // while their session row is live, so logout / revokeSessions() cut them
+  // off at once instead of when the jwt expires. a dead cookie doesn't
+  // shadow a valid bearer
+  const findLiveSession = async (accessToken) => {
+    const session = readAccessToken(accessToken);
+    if (!session) return null;
+    const live = await sessionsColl.findOne(
+      {
+        _id: session.sid,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { projection: { _id: 1 } }
+    );
+    return live ? session : null;
+  };
+
+  const authenticate = async (req, res, next) => {
+    const token = getTokenFromHeader(req);
+    const cookie = req.cookies?.[ACCESS_COOKIE];
+    let session;
+    try {
+      session =
+        (await findLiveSession(cookie)) || (await findLiveSession(token));
+    } catch (err) {
+      console.error("verifyJWT session error:", err);
+      return res.status(500).send({ message: "Server error in verifyJWT" });
+    }
+    if (session) {
+      req.tokenEmail = session.email;
+      req.tokenRole = session.role;
+      req.sessionId = session.sid;
+      return next();
+    }
+
+    // no firebase token to fall back on
+    if (!token || readAccessToken(token)) {
+      const expired = readAccessToken(token) || readAccessToken(cookie);
+      return res.status(401).send({
+        message: expired ? "Session expired" : "Unauthorized Access!",
+      });
+    }
+
+    try {
+      const decodedToken = await verifyToken(token);
+      req.tokenEmail = decodedToken.email;
+      next();
+    } catch (err) {
+      console.error("verifyJWT error:", err);
+      return res.status(401).send({ message: "Unauthorized Access!", err });
+    }
+  };
+
+  // every authenticated write also passes verifyNotSuspended, so no route
+  // can forget it
+  const verifyJWT = (req, res, next) =>
+    authenticate(req, res, () =>
+      SAFE_METHODS.includes(req.method)
+        ? next()
+        : verifyNotSuspended(req, res, next)
+    );
+
+  const orderFeed = new EventEmitter();
+  orderFeed.setMaxListeners(0);
+  orderFeed.changeStreamActive = false;
+  orderFeed.recent = []; // last events, replayed for Last-Event-ID
+  let orderFeedSeq = 0;
+
+  // routes keep publishing until the change stream's first resume token,
+  // so a write made meanwhile reaches the bus twice. the second copy finds
+  // the same state of that order already buffered and is dropped
+  const orderEventKey = (type, order) =>
+    [
+      type,
+      order._id.toString(),
+      order.orderStatus,
+      order.paymentStatus,
+      order.refundedCents || 0,
+    ].join(":");
+
+  // event ids are time based so they still order after an instance restarts
+  const emitOrderEvent = (type, order) => {
+    if (!order) return;
+    const key = orderEventKey(type, order);
+    if (orderFeed.recent.some((event) => event.key === key)) return;
+    const event = {
+      id: Date.now() * 1000 + (orderFeedSeq++ % 1000),
+      type,
+      key,
+      order: {
+        _id: order._id.toString(),
+        orderStatus: order.orderStatus,
+        paymentStatus: order.paymentStatus,
+        chefEmail: order.chefEmail,
+        userEmail: order.userEmail,
+        items: order.items,
+        total: order.total,
+        createdAt: order.createdAt,
+        updatedAt: order.updatedAt,
+      },
+    };
+    orderFeed.recent.push(event);
+    if (orderFeed.recent.length > ORDER_FEED_BUFFER) orderFeed.recent.shift();
+    orderFeed.emit("event", event);
+  };
+
+  // called by routes after they write an order
+  const publishOrderEvent = (type, order) => {
+    if (orderFeed.changeStreamActive) return;
+    emitOrderEvent(type, order);
+  };
+
+  // change stream → bus; stays off (route publishing) on standalone servers
+  const watchOrders = (ordersCollection) => {
+    let stream;
+    try {
+      stream = ordersCollection.watch(
+        [
+          {
+            $match: { operationType: { $in: ["insert", "update", "replace"] } },
+          },
+        ],
+        { fullDocument: "updateLookup" }
+      );
+    } catch (err) {
+      console.error("orders change stream unavailable:", err.message);
+      return;
+    }
+
+    // first resume token = the server accepted the stream
+    stream.once("resumeTokenChanged", () => {
+      orderFeed.changeStreamActive = true;
+    });
+    stream.on("change", (change) => {
+      const order = change.fullDocument;
+      if (change.operationType === "insert") {
+        return emitOrderEvent("order.created", order);
+      }
+      const updated = change.updateDescription?.updatedFields || {};
+      if ("orderStatus" in updated || change.operationType === "replace") {
+        emitOrderEvent(
+          order?.orderStatus === "cancelled"
+            ? "order.cancelled"
+            : "order.status",
+          order
+        );
+      } else if ("paymentStatus" in updated) {
+        emitOrderEvent("order.payment", order);
+      }
+    });
+    stream.on("error", (err) => {
+      console.error("orders change stream stopped:", err.message);
+      orderFeed.changeStreamActive = false;
+      stream.close().catch(() => {});
+    });
+  };
+
+  const userColl = db.collection("users");
+  const mealsColl = db.collection("meals");
+  const reviewsCollection = db.collection("reviews");
+  const favoritesCollection = db.collection("favorites");
+  const ordersCollection = db.collection("orders");
+  const roleRequestColl = db.collection("roleRequests");
+  const orderRequestsCollection = db.collection("orderRequests");
+  const paymentCollection = db.collection("payments");
+  const stripeEventsColl = db.collection("stripeEvents");
+  const ledgerColl = db.collection("chefLedger");
+  const payoutRequestsColl = db.collection("payoutRequests");
+  const notificationsColl = db.collection("notifications");
+  // { _id: "<mealId>:<YYYY-MM-DD>", mealId, date, booked }
+  const mealCapacityColl = db.collection("mealCapacity");
+  const promoCodesColl = db.collection("promoCodes");
+  // { _id: "<CODE>:<userEmail>", count } per-user redemption counter
+  const promoUsageColl = db.collection("promoUsage");
+  // append-only: written by recordAudit, never updated or deleted
+  const auditLogColl = db.collection("auditLog");
+  // { _id: "<name>", seq } sequence counters
+  const countersColl = db.collection("counters");
+  // fixed-window hit counters, mongo deletes them once the window ends
+  const rateLimitsColl = db.collection("rateLimits");
+  // refresh sessions: { _id: sid, email, refreshHash, expiresAt, revokedAt }
+  const sessionsColl = db.collection("sessions");
+  // { userEmail, chefEmail, chefId, followedAt }
+  const followsColl = db.collection("follows");
+
+  const dedupeFavorites = async () => {
+    const groups = await favoritesCollection
+      .aggregate([
+        { $sort: { addedTime: 1, _id: 1 } },
+        {
+          $group: {
+            _id: { userEmail: "$userEmail", mealId: "$mealId" },
+            ids: { $push: "$_id" },
+          },
+        },
+        { $match: { "ids.1": { $exists: true } } },
+      ])
+      .toArray();
+    for (const { ids } of groups) {
+      await favoritesCollection.deleteMany({ _id: { $in: ids.slice(1) } });
+    }
+  };
+
+  // one review per user per meal: older data could hold several, the
+  // newest is kept and the ratings of the meals involved are recomputed
+  const dedupeReviews = async () => {
+    const groups = await reviewsCollection
+      .aggregate([
+        { $sort: { date: -1, _id: -1 } },
+        {
+          $group: {
+            _id: { foodId: "$foodId", reviewerEmail: "$reviewerEmail" },
+            ids: { $push: "$_id" },
+          },
+        },
+        { $match: { "ids.1": { $exists: true } } },
+      ])
+      .toArray();
+    for (const { _id, ids } of groups) {
+      await reviewsCollection.deleteMany({ _id: { $in: ids.slice(1) } });
+      await refreshMealRating(_id.foodId);
+    }
+  };
+
+  // older code let a user file the same request again while one was open:
+  // the newest stays pending, the earlier ones are closed as superseded
+  const dedupeRoleRequests = async () => {
+    const groups = await roleRequestColl
+      .aggregate([
+        { $match: { requestStatus: "pending" } },
+        { $sort: { requestTime: -1, _id: -1 } },
+        {
+          $group: {
+            _id: { userEmail: "$userEmail", requestType: "$requestType" },
+            ids: { $push: "$_id" },
+          },
+        },
+        { $match: { "ids.1": { $exists: true } } },
+      ])
+      .toArray();
+    for (const { ids } of groups) {
+      await roleRequestColl.updateMany(
+        { _id: { $in: ids.slice(1) } },
+        { $set: { requestStatus: "superseded", decidedAt: new Date() } }
+      );
+    }
+  };
+
+  // chefIds used to be random chef-#### values and could collide: the
+  // earliest chef keeps the id, the others get a counter-allocated one on
+  // their user, meals and follows
+  const dedupeChefIds = async () => {
+    const groups = await userColl
+      .aggregate([
+        { $match: { chefId: { $type: "string" } } },
+        { $sort: { createdAt: 1, _id: 1 } },
+        {
+          $group: {
+            _id: "$chefId",
+            users: { $push: { _id: "$_id", email: "$email" } },
+          },
+        },
+        { $match: { "users.1": { $exists: true } } },
+      ])
+      .toArray();
+    for (const { users } of groups) {
+      for (const user of users.slice(1)) {
+        let chefId;
+        do {
+          chefId = await allocateChefId();
+        } while (
+          await userColl.findOne({ chefId }, { projection: { _id: 1 } })
+        );
+        await userColl.updateOne({ _id: user._id }, { $set: { chefId } });
+        await mealsColl.updateMany(
+          { chefEmail: user.email },
+          { $set: { chefId } }
+        );
+        await followsColl.updateMany(
+          { chefEmail: user.email },
+          { $set: { chefId } }
+        );
+      }
+    }
+  };
+
+  // createIndex is a no-op when the index exists. each index is built on
+  // its own so one failure can't skip the others. a unique index over data
+  // older code let duplicate gets `dedupe` run on 11000, then a retry
+  const ensureIndex = async (coll, keys, options = {}, dedupe) => {
+    try {
+      try {
+        await coll.createIndex(keys, options);
+      } catch (err) {
+        if (err.code !== 11000 || !dedupe) throw err;
+        await dedupe();
+        await coll.createIndex(keys, options);
+      }
+    } catch (err) {
+      console.error(
+        `ensureIndex ${coll.collectionName} ${JSON.stringify(keys)} error:`,
+        err
+      );
+    }
+  };
+
+  // indexes the routes rely on
+  const ensureIndexes = () =>
+    Promise.all([
+      ensureIndex(
+        mealsColl,
+        { foodName: "text", ingredients: "text", chefName: "text" },
+        { name: "meal_text_search" }
+      ),
+      ensureIndex(mealsColl, { category: 1, price: 1 }),
+      ensureIndex(mealsColl, { avgRating: -1 }),
+      ensureIndex(ordersCollection, { createdAt: 1, paymentStatus: 1 }),
+      ensureIndex(userColl, { createdAt: 1 }),
+      ensureIndex(
+        reviewsCollection,
+        { foodId: 1, reviewerEmail: 1 },
+        { unique: true },
+        dedupeReviews
+      ),
+      // older favorites could hold the same meal twice; keep the first one
+      ensureIndex(
+        favoritesCollection,
+        { userEmail: 1, mealId: 1 },
+        { unique: true },
+        dedupeFavorites
+      ),
+      ensureIndex(favoritesCollection, { userEmail: 1, addedTime: -1 }),
+      // entryKey = "order:<id>" / "payout:<id>", makes credits + debits idempotent
+      ensureIndex(ledgerColl, { entryKey: 1 }, { unique: true }),
+      ensureIndex(ledgerColl, { chefEmail: 1, createdAt: -1 }),
+      ensureIndex(notificationsColl, {
+        userEmail: 1,
+        read: 1,
+        createdAt: -1,
+      }),
+      ensureIndex(promoCodesColl, { code: 1 }, { unique: true }),
+      ensureIndex(userColl, { email: 1 }, { unique: true }),
+      ensureIndex(
+        userColl,
+        { chefId: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { chefId: { $type: "string" } },
+        },
+        dedupeChefIds
+      ),
+      // one open request per user per role
+      ensureIndex(
+        roleRequestColl,
+        { userEmail: 1, requestType: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { requestStatus: "pending" },
+        },
+        dedupeRoleRequests
+      ),
+      ensureIndex(roleRequestColl, { userEmail: 1, requestTime: -1 }),
+      ensureIndex(rateLimitsColl, { expiresAt: 1 }, { expireAfterSeconds: 0 }),
+      ensureIndex(sessionsColl, { expiresAt: 1 }, { expireAfterSeconds: 0 }),
+      ensureIndex(sessionsColl, { email: 1 }),
+      ensureIndex(
+        followsColl,
+        { userEmail: 1, chefEmail: 1 },
+        { unique: true }
+      ),
+      ensureIndex(followsColl, { userEmail: 1, followedAt: -1 }),
+      ensureIndex(mealsColl, { chefEmail: 1, createdAt: -1 }),
+      ensureIndex(userColl, { role: 1, avgRating: -1 }),
+      ensureIndex(auditLogColl, { at: -1 }),
+      ensureIndex(auditLogColl, { actor: 1, at: -1 }),
+      ensureIndex(auditLogColl, { action: 1, at: -1 }),
+      ensureIndex(auditLogColl, { "target.id": 1, at: -1 }),
+      // one open payout request per chef
+      ensureIndex(
+        payoutRequestsColl,
+        { chefEmail: 1 },
+        { unique: true, partialFilterExpression: { status: "pending" } }
+      ),
+    ]);
+  app.locals.ready = ensureIndexes().catch((err) =>
+    console.error("ensureIndexes error:", err)
+  );
+
+  // recompute a meal's rating aggregates from its reviews
+  const refreshMealRating = async (foodId) => {
+    if (!ObjectId.isValid(foodId)) return;
+
+    const stats = await reviewsCollection
+      .aggregate([
+        { $match: { foodId: String(foodId) } },
+        { $group: { _id: "$rating", count: { $sum: 1 } } },
+      ])
+      .toArray();
+
+    const rating = emptyMealRating();
+    let sum = 0;
+    for (const { _id: stars, count } of stats) {
+      if (!isValidRating(stars)) continue;
+      rating.ratingHistogram[stars] = count;
+      rating.totalReviews += count;
+      sum += stars * count;
+    }
+    if (rating.totalReviews) {
+      rating.avgRating = Math.round((sum / rating.totalReviews) * 10) / 10;
+    }
+
+    const meal = await mealsColl.findOneAndUpdate(
+      { _id: new ObjectId(foodId) },
+      { $set: rating },
+      { projection: { chefEmail: 1 } }
+    );
+    if (meal?.chefEmail) await refreshChefRating(meal.chefEmail);
+  };
+
+  // chef rating = all reviews of all their meals, stored on the user
+  const refreshChefRating = async (chefEmail) => {
+    const [totals] = await mealsColl
+      .aggregate([
+        { $match: { chefEmail, totalReviews: { $gt: 0 } } },
+        {
+          $group: {
+            _id: null,
+            reviews: { $sum: "$totalReviews" },
+            stars: { $sum: { $multiply: ["$avgRating", "$totalReviews"] } },
+          },
+        },
+      ])
+      .toArray();
+
+    const totalReviews = totals?.reviews || 0;
+    await userColl.updateOne(
+      { email: chefEmail },
+      {
+        $set: {
+          totalReviews,
+          avgRating: totalReviews
+            ? Math.round((totals.stars / totalReviews) * 10) / 10
+            : 0,
+        },
+      }
+    );
+  };
+
+  // meals created before ratings were stored on them
+  const backfillMealRatings = async () => {
+    const meals = await mealsColl
+      .find({ ratingHistogram: { $exists: false } }, { projection: { _id: 1 } })
+      .toArray();
+    for (const meal of meals) await refreshMealRating(meal._id.toString());
+  };
+  backfillMealRatings().catch((err) =>
+    console.error("backfillMealRatings error:", err)
+  );
+
+  // meals from before favorite counts were stored on them. runs after the
+  // indexes so duplicate favorites are gone
+  const backfillFavoriteCounts = async () => {
+    const missing = { favoriteCount: { $exists: false } };
+    if (!(await mealsColl.countDocuments(missing))) return;
+
+    const counts = await favoritesCollection
+      .aggregate([{ $group: { _id: "$mealId", count: { $sum: 1 } } }])
+      .toArray();
+    for (const { _id: mealId, count } of counts) {
+      if (!ObjectId.isValid(mealId)) continue;
+      await mealsColl.updateOne(
+        { _id: new ObjectId(mealId), ...missing },
+        { $set: { favoriteCount: count } }
+      );
+    }
+    await mealsColl.updateMany(missing, { $set: { favoriteCount: 0 } });
+  };
+  app.locals.ready = app.locals.ready.then(() =>
+    backfillFavoriteCounts().catch((err) =>
+      console.error("backfillFavoriteCounts error:", err)
+    )
+  );
+
+  // meals from before order counts were stored on them: one per live
+  // order. orders placed meanwhile skip these meals (see countMealOrders)
+  const backfillOrderCounts = async () => {
+    const missing = { orderCount: { $exists: false } };
+    if (!(await mealsColl.countDocuments(missing))) return;
+
+    const counts = await ordersCollection
+      .aggregate([
+        { $match: { orderStatus: { $nin: DEAD_ORDER_STATUSES } } },
+        { $unwind: "$items" },
+        { $group: { _id: { order: "$_id", mealId: "$items.mealId" } } },
+        { $group: { _id: "$_id.mealId", count: { $sum: 1 } } },
+      ])
+      .toArray();
+    for (const { _id: mealId, count } of counts) {
+      if (!ObjectId.isValid(mealId)) continue;
+      await mealsColl.updateOne(
+        { _id: new ObjectId(mealId), ...missing },
+        { $set: { orderCount: count } }
+      );
+    }
+    await mealsColl.updateMany(missing, { $set: { orderCount: 0 } });
+  };
+  app.locals.ready = app.locals.ready.then(() =>
+    backfillOrderCounts().catch((err) =>
+      console.error("backfillOrderCounts error:", err)
+    )
+  );
+
+  // chefs from before their rating + delivered count were stored on them
+  const backfillChefStats = async () => {
+    const chefs = await userColl
+      .find(
+        { role: "chef", deliveredOrders: { $exists: false } },
+        { projection: { email: 1 } }
+      )
+      .toArray();
+    for (const chef of chefs) {
+      const deliveredOrders = await ordersCollection.countDocuments({
+        chefEmail: chef.email,
+        orderStatus: "delivered",
+      });
+      await userColl.updateOne(
+        { _id: chef._id, deliveredOrders: { $exists: false } },
+        { $set: { deliveredOrders } }
+      );
+      await refreshChefRating(chef.email);
+    }
+  };
+  backfillChefStats().catch((err) =>
+    console.error("backfillChefStats error:", err)
+  );
+
+  if (watchOrderChanges) watchOrders(ordersCollection);
+
+  // append an audit entry for a privileged action. never throws
+  // target: { type, id }, before / after: snapshots of what changed
+  const recordAudit = async ({ actor, ip, action, target, before, after }) => {
+    try {
+      await auditLogColl.insertOne({
+        actor,
+        action,
+        target,
+        before: before ?? null,
+        after: after ?? null,
+        ip: ip || null,
+        at: new Date(),
+      });
+    } catch (err) {
+      console.error("recordAudit error:", err);
+    }
+  };
+
+  // same, with actor + ip from the request
+  const auditReq = (req, entry) =>
+    recordAudit({ actor: req.tokenEmail, ip: getClientIp(req), ...entry });
+
+  // store an in-app notification unless the user turned that type off.
+  // never throws: a failed notification must not fail the request
+  const notify = async (userEmail, type, { title, message, data } = {}) => {
+    try {
+      if (!userEmail) return;
+      const user = await userColl.findOne(
+        { email: userEmail },
+        { projection: { notificationPrefs: 1 } }
+      );
+      if (user?.notificationPrefs?.[type] === false) return;
+
+      await notificationsColl.insertOne({
+        userEmail,
+        type,
+        title,
+        message,
+        data: data || {},
+        read: false,
+        createdAt: new Date(),
+      });
+    } catch (err) {
+      console.error("notify error:", err);
+    }
+  };
+
+  // verify admin
+  // role from the session token when there is one, else from the db.
+  // token users are a stub ({ email, role, fromToken }); routes that need
+  // more load the document (verifyNotSuspended does, for every write)
+  const getRequestUser = async (req) => {
+    if (req.user) return req.user;
+    if (req.tokenRole) {
+      return { email: req.tokenEmail, role: req.tokenRole, fromToken: true };
+    }
+    return userColl.findOne({ email: req.tokenEmail });
+  };
+
+  const verifyAdmin = async (req, res, next) => {
+    const user = await getRequestUser(req);
+    if (!user || user.role !== "admin") {
+      return res.status(403).send({ message: "Admin only!" });
+    }
+    req.user = user;
+    next();
+  };
+
+  // VERIFY CHEF ONLY
+  const verifyChef = async (req, res, next) => {
+    try {
+      // Find the user from the session token or DB
+      const user = await getRequestUser(req);
+
+      if (!user) {
+        return res.status(404).send({ message: "User not found!" });
+      }
+
+      // Only chefs OR admins are allowed (optional: remove admin if not needed)
+      if (user.role !== "chef" && user.role !== "admin") {
+        return res.status(403).send({ message: "Access denied! Chef only." });
+      }
+
+      req.user = user;
+      next();
+    } catch (err) {
+      console.error("verifyChef error:", err);
+      res.status(500).send({ message: "Server error in verifyChef" });
+    }
+  };
+
+  // suspended = marked fraud and the suspension hasn't run out
+  const isSuspended = (user) =>
+    user?.status === "fraud" &&
+    !(user.suspension?.until && user.suspension.until <= new Date());
+
+  // runs inside verifyJWT for every write: suspended users are read-only.
+  // an expired suspension is lifted on the user's next write
+  const verifyNotSuspended = async (req, res, next) => {
+    try {
+      const user =
+        req.user && !req.user.fromToken
+          ? req.user
+          : await userColl.findOne({ email: req.tokenEmail });
+      if (isSuspended(user)) {
+        return res.status(403).send({
+          errorType: "FRAUD_USER",
+          message: "Your account is suspended.",
+          reason: user.suspension?.reason,
+          until: user.suspension?.until || null,
+        });
+      }
+      if (user?.status === "fraud") await liftSuspension(user, "system");
+
+      req.user = user;
+      next();
+    } catch (err) {
+      console.error("verifyNotSuspended error:", err);
+      res.status(500).send({ message: "Server error in verifyNotSuspended" });
+    }
+  };
+
+  // suspensions that ran out are lifted (and the chef's meals shown again)
+  // before a request reads them, checked at most once a minute
+  let suspensionsCheckedAt = 0;
+  app.use(async (req, res, next) => {
+    if (Date.now() - suspensionsCheckedAt < SUSPENSION_CHECK_MS) return next();
+    suspensionsCheckedAt = Date.now();
+    await liftExpiredSuspensions().catch((err) =>
+      console.error("liftExpiredSuspensions error:", err)
+    );
+    next();
+  });
+
+  // throttle a route by token email and by ip (see RATE_LIMITS).
+  // state lives in mongo so every serverless instance shares it.
+  // goes after verifyJWT; admins are exempt; fails open if mongo errors
+  const rateLimit = (name) => async (req, res, next) => {
+    const limit = RATE_LIMITS[name];
+    if (RATE_LIMIT_DISABLED || !limit) return next();
+
+    try {
+      const user = req.user || (await getRequestUser(req));
+      if (user?.role === "admin") return next();
+
+      const now = Date.now();
+      const windowStart = Math.floor(now / limit.windowMs) * limit.windowMs;
+      const expiresAt = new Date(windowStart + limit.windowMs);
+      const keys = [`ip:${getClientIp(req)}`];
+      if (req.tokenEmail) keys.push(`user:${req.tokenEmail}`);
+
+      const counts = await Promise.all(
+        keys.map((key) =>
+          rateLimitsColl.findOneAndUpdate(
+            { _id: `${name}:${key}:${windowStart}` },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+            { upsert: true, returnDocument: "after" }
+          )
+        )
+      );
+
+      if (counts.some((doc) => doc.count > limit.max)) {
+        const retryAfter = Math.ceil((expiresAt.getTime() - now) / 1000);
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).send({
+          message: "Too many requests, please try again later.",
+          retryAfter,
+        });
+      }
+      next();
+    } catch (err) {
+      console.error("rateLimit error:", err);
+      next();
+    }
+  };
+
+  // chef routes: the chef who owns the resource, or any admin
+  const isOwnerOrAdmin = (req, ownerEmail) =>
+    req.user?.role === "admin" || ownerEmail === req.tokenEmail;
+
+  // load meal by :id and check ownership, sets req.meal
+  const verifyMealOwner = async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      if (!ObjectId.isValid(id))
+        return res.status(400).send({ message: "Invalid meal id" });
+
+      const meal = await mealsColl.findOne({ _id: new ObjectId(id) });
+      if (!meal) return res.status(404).send({ message: "Meal not found" });
+
+      if (!isOwnerOrAdmin(req, meal.chefEmail))
+        return res.status(403).send({ message: "Not your meal!" });
+
+      req.meal = meal;
+      next();
+    } catch (err) {
+      console.error("verifyMealOwner error:", err);
+      res.status(500).send({ message: "Server error in verifyMealOwner" });
+    }
+  };
+
+  // multipart "image" field into req.file (memory), size + type checked
+  const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_MB * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) =>
+      IMAGE_TYPES.includes(file.mimetype)
+        ? cb(null, true)
+        : cb(httpError(415, "Only JPEG, PNG or WebP images")),
+  }).single("image");
+
+  const receiveImage = (req, res, next) =>
+    imageUpload(req, res, (err) => {
+      if (err?.code === "LIMIT_FILE_SIZE")
+        return res
+          .status(413)
+          .send({ message: `Image must be at most ${MAX_IMAGE_MB} MB` });
+      if (err)
+        return res.status(err.status || 400).send({ message: err.message });
+      if (!req.file)
+        return res.status(400).send({ message: "image file required" });
+      next();
+    });
+
+  // resize + store every size under prefix. the returned record goes on the
+  // owning document so the files can be removed with it
+  const storeImage = async (file, prefix) => {
+    const id = crypto.randomUUID();
+    const sizes = await renderImageSizes(file.buffer);
+
+    const results = await Promise.allSettled(
+      sizes.map(async ({ size, body }) => {
+        const key = `${prefix}/${id}-${size}.webp`;
+        return { size, key, url: await storage.put(key, body, "image/webp") };
+      })
+    );
+    const stored = results
+      .filter((r) => r.status === "fulfilled")
+      .map((r) => r.value);
+    if (stored.length !== results.length) {
+      await Promise.all(stored.map(({ key }) => storage.remove(key))).catch(
+        () => {}
+      );
+      throw results.find((r) => r.status === "rejected").reason;
+    }
+
+    return {
+      id,
+      keys: stored.map(({ key }) => key),
+      sizes: Object.fromEntries(stored.map(({ size, url }) => [size, url])),
+      uploadedAt: new Date(),
+    };
+  };
+
+  // drop an uploaded image's files. never throws: a leftover file
+  // must not fail the request that replaced or deleted it
+  const removeImage = async (image) => {
+    if (!image?.keys?.length) return;
+    try {
+      await Promise.all(image.keys.map((key) => storage.remove(key)));
+    } catch (err) {
+      console.error("removeImage error:", err);
+    }
+  };
+
+  // new refresh session for the user; returns the cookie value
+  const createSession = async (email) => {
+    const sid = crypto.randomUUID();
+    const refreshToken = crypto.randomBytes(32).toString("base64url");
+    await sessionsColl.insertOne({
+      _id: sid,
+      email,
+      refreshHash: hashToken(refreshToken),
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      revokedAt: null,
+    });
+    return { sid, refreshCookie: `${sid}.${refreshToken}` };
+  };
+
+  // set both cookies and return the access token for non-cookie clients
+  const issueSessionCookies = (res, { email, role, sid, refreshCookie }) => {
+    const accessToken = signAccessToken({ email, role, sid });
+    res.cookie(
+      ACCESS_COOKIE,
+      accessToken,
+      cookieOptions(ACCESS_TOKEN_TTL_SEC * 1000)
+    );
+    res.cookie(
+      REFRESH_COOKIE,
+      refreshCookie,
+      cookieOptions(REFRESH_TOKEN_TTL_MS, "/auth")
+    );
+    return accessToken;
+  };
+
+  const clearSessionCookies = (res) => {
+    res.clearCookie(ACCESS_COOKIE, cookieOptions(undefined));
+    res.clearCookie(REFRESH_COOKIE, cookieOptions(undefined, "/auth"));
+  };
+
+  // logged out / demoted / suspended users can't refresh any more
+  const revokeSessions = (email) =>
+    sessionsColl.updateMany(
+      { email, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+  // EXCHANGE FIREBASE TOKEN FOR A SESSION (bearer = firebase id token)
+  app.post("/auth/session", async (req, res) => {
+    if (!SESSION_SECRET)
+      return res.status(501).send({ message: "Sessions are not configured" });
+
+    const token = getTokenFromHeader(req) || req.body?.idToken;
+    if (!token)
+      return res.status(401).send({ message: "Unauthorized Access!" });
+
+    let decodedToken;
+    try {
+      decodedToken = await verifyToken(token);
+    } catch (err) {
+      console.error("/auth/session verify error:", err);
+      return res.status(401).send({ message: "Unauthorized Access!" });
+    }
+
+    try {
+      const email = decodedToken.email;
+      const user = await userColl.findOne({ email });
+      const role = user?.role || "user";
+
+      const { sid, refreshCookie } = await createSession(email);
+      const accessToken = issueSessionCookies(res, {
+        email,
+        role,
+        sid,
+        refreshCookie,
+      });
+
+      res.send({
+        success: true,
+        email,
+        role,
+        accessToken,
+        expiresIn: ACCESS_TOKEN_TTL_SEC,
+      });
+    } catch (err) {
+      console.error("/auth/session error:", err);
+      res.status(500).send({ message: "Failed to create session" });
+    }
+  });
+
+  // NEW ACCESS TOKEN FROM THE REFRESH COOKIE (rotates the refresh token)
+  app.post("/auth/refresh", async (req, res) => {
+    try {
+      const [sid, refreshToken] = String(
+        req.cookies?.[REFRESH_COOKIE] || ""
+      ).split(".");
+      if (!sid || !refreshToken) {
+        return res.status(401).send({ message: "Unauthorized Access!" });
+      }
+
+      const nextToken = crypto.randomBytes(32).toString("base64url");
+      // only the current refresh token of a live session can rotate it
+      const session = await sessionsColl.findOneAndUpdate(
+        {
+          _id: sid,
+          refreshHash: hashToken(refreshToken),
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        },
+        {
+          $set: {
+            refreshHash: hashToken(nextToken),
+            refreshedAt: new Date(),
+          },
+        },
+        { returnDocument: "after" }
+      );
+      if (!session) {
+        clearSessionCookies(res);
+        return res.status(401).send({ message: "Session expired" });
+      }
+
+      // role is read fresh on every refresh
+      const user = await userColl.findOne({ email: session.email });
+      if (!user) {
+        await revokeSessions(session.email);
+        clearSessionCookies(res);
+        return res.status(401).send({ message: "Session expired" });
+      }
+
+      const accessToken = issueSessionCookies(res, {
+        email: user.email,
+        role: user.role,
+        sid,
+        refreshCookie: `${sid}.${nextToken}`,
+      });
+
+      res.send({
+        success: true,
+        role: user.role,
+        accessToken,
+        expiresIn: ACCESS_TOKEN_TTL_SEC,
+      });
+    } catch (err) {
+      console.error("/auth/refresh error:", err);
+      res.status(500).send({ message: "Failed to refresh session" });
+    }
+  });
+
+  // LOGOUT: revoke this session and clear cookies
+  app.post("/auth/logout", async (req, res) => {
+    try {
+      const [sid] = String(req.cookies?.[REFRESH_COOKIE] || "").split(".");
+      const session = readAccessToken(
+        req.cookies?.[ACCESS_COOKIE] || getTokenFromHeader(req)
+      );
+      const ids = [sid, session?.sid].filter(Boolean);
+      if (ids.length) {
+        await sessionsColl.updateMany(
+          { _id: { $in: ids }, revokedAt: null },
+          { $set: { revokedAt: new Date() } }
+        );
+      }
+
+      clearSessionCookies(res);
+      res.send({ success: true });
+    } catch (err) {
+      console.error("/auth/logout error:", err);
+      res.status(500).send({ message: "Failed to log out" });
+    }
+  });
+
+  // CREATE USER (PROTECTED)
+  app.post("/users", verifyJWT, async (req, res) => {
+    try {
+      const user = req.body;
+      if (!user?.email)
+        return res.status(400).send({ message: "email required" });
+      if (req.tokenEmail !== user.email)
+        return res.status(403).send({ message: "Forbidden!" });
+
+      const exists = await userColl.findOne({ email: user.email });
+      if (exists) return res.send({ message: "User already exists" });
+
+      // ✅ ADD DEFAULT ROLE SAFELY
+      const newUser = {
+        ...Object.fromEntries(
+          SIGNUP_USER_FIELDS.filter((key) => key in user).map((key) => [
+            key,
+            user[key],
+          ])
+        ),
+        role: "user", // 👈 default role
+        status: "active", // 👈 optional but recommended
+        createdAt: new Date(),
+      };
+
+      const result = await userColl.insertOne(newUser);
+      res.send(result);
+    } catch (err) {
+      console.error("/users POST error:", err);
+      res.status(500).send({ message: "Server error", error: err });
+    }
+  });
+
+  // GET all users (Admin Only)
+  // ?role= &status= &from= &to= (createdAt) &cursor= &limit=
+  app.get("/users", verifyJWT, verifyAdmin, async (req, res) => {
+    try {
+      const filter = getDateFilter("createdAt", req.query);
+      if (req.query.role) filter.role = req.query.role;
+      if (req.query.status) filter.status = req.query.status;
+
+      const page = await paginate(userColl, {
+        filter,
+        ...getListParams(req),
+      });
+      res.send(page);
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/users GET error:", err);
+      res.status(500).send({ message: "Failed to fetch users" });
+    }
+  });
+
+  // update user info
+  app.patch("/users/:email", verifyJWT, async (req, res) => {
+    const email = req.params.email;
+
+    if (req.tokenEmail !== email) {
+      return res.status(403).send({ message: "Forbidden" });
+    }
+
+    const { name, address, image, bio } = req.body || {};
+    if (
+      bio !== undefined &&
+      (typeof bio !== "string" || bio.length > MAX_BIO_LENGTH)
+    ) {
+      return res.status(400).send({
+        message: `bio must be text of at most ${MAX_BIO_LENGTH} characters`,
+      });
+    }
+
+    // only the fields sent are changed
+    const $set = {};
+    for (const [key, value] of Object.entries({ name, address, image })) {
+      if (value !== undefined) $set[key] = value;
+    }
+    if (bio !== undefined) $set.bio = bio.trim();
+    const update = {
+      $setOnInsert: {
+        email,
+        role: "user",
+        status: "active",
+        createdAt: new Date(),
+      },
+    };
+    if (Object.keys($set).length) update.$set = $set;
+    // a new image url replaces the uploaded one
+    const replacedUpload =
+      image !== undefined && image !== req.user?.image
+        ? req.user?.imageUpload
+        : null;
+    if (replacedUpload) update.$unset = { imageUpload: "" };
+
+    const result = await userColl.updateOne({ email }, update, {
+      upsert: true,
+    });
+    await removeImage(replacedUpload);
+
+    res.send(result);
+  });
+
+  // UPLOAD PROFILE IMAGE (multipart "image"), sets image to the medium size
+  app.post(
+    "/users/:email/image",
+    verifyJWT,
+    rateLimit("uploads"),
+    receiveImage,
+    async (req, res) => {
+      try {
+        const email = req.params.email;
+        if (req.tokenEmail !== email || !req.user)
+          return res.status(403).send({ message: "Forbidden" });
+
+        const upload = await storeImage(req.file, `users/${req.user._id}`);
+        await userColl.updateOne(
+          { _id: req.user._id },
+          { $set: { image: upload.sizes.medium, imageUpload: upload } }
+        );
+        await removeImage(req.user.imageUpload);
+
+        res.send({ success: true, image: upload.sizes.medium, ...upload });
+      } catch (err) {
+        if (err.status)
+          return res.status(err.status).send({ message: err.message });
+        console.error("/users/:email/image error:", err);
+        res.status(500).send({ message: "Failed to upload image" });
+      }
+    }
+  );
+
+  // CREATE MEAL, suspended chefs can't (PROTECTED)
+  app.post("/meals", verifyJWT, verifyChef, async (req, res) => {
+    const user = req.user;
+
+    const { fields, rejected } = pickMealFields(req.body);
+    if (rejected.length) {
+      return res
+        .status(400)
+        .send({ message: "Fields not allowed", fields: rejected });
+    }
+    if (!fields.foodName || fields.price === undefined) {
+      return res.status(400).send({ message: "foodName and price required" });
+    }
+
+    // owner comes from the token, never from the body
+    const meal = {
+      ...fields,
+      chefEmail: user.email,
+      chefId: user.chefId,
+      chefName: user.name,
+    };
+
+    Object.assign(meal, emptyMealRating());
+    meal.favoriteCount = 0;
+    meal.orderCount = 0;
+    meal.createdAt = new Date();
+
+    const result = await mealsColl.insertOne(meal);
+    res.send(result);
+  });
+
+  // GET ALL MEALS WITH SEARCH, FILTERS, FACETS + PAGINATION
+  // ?q= text search over name / ingredients / chef name
+  // ?category= &chef= (email or chefId) &minPrice= &maxPrice= &minRating= &area=
+  // ?sortBy=price|rating|newest|popular|relevance  (&sort=asc|desc for price)
+  app.get("/meals", async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 10, MAX_PAGE_SIZE);
+      const skip = (page - 1) * limit;
+
+      const sortOrder = req.query.sort === "desc" ? -1 : 1;
+      const { q, category, chef, area } = req.query;
+      const minPrice = parseFloat(req.query.minPrice);
+      const maxPrice = parseFloat(req.query.maxPrice);
+      const minRating = parseFloat(req.query.minRating);
+
+      // filters on stored fields ($text has to be in the first stage)
+      // meals of suspended chefs are hidden
+      const match = { hidden: { $ne: true } };
+      if (q) match.$text = { $search: String(q) };
+      if (category) match.category = String(category);
+      if (chef) match.$or = [{ chefEmail: chef }, { chefId: chef }];
+      if (area)
+        match.deliveryArea = {
+          $regex: escapeRegex(area),
+          $options: "i",
+        };
+      if (!isNaN(minRating)) match.avgRating = { $gte: minRating };
+      if (!isNaN(minPrice) || !isNaN(maxPrice)) {
+        match.price = {};
+        if (!isNaN(minPrice)) match.price.$gte = minPrice;
+        if (!isNaN(maxPrice)) match.price.$lte = maxPrice;
+      }
+
+      const sortBy = req.query.sortBy || (q ? "relevance" : "price");
+      const sorts = {
+        price: { price: sortOrder },
+        rating: { avgRating: -1, totalReviews: -1 },
+        newest: { createdAt: -1 },
+        popular: { orderCount: -1 },
+        relevance: q ? { score: { $meta: "textScore" } } : { createdAt: -1 },
+      };
+      if (!Object.hasOwn(sorts, sortBy))
+        return res.status(400).send({ message: "Invalid sortBy" });
+
+      const [result] = await mealsColl
+        .aggregate([
+          // rating fields are stored on the meal (see refreshMealRating)
+          { $match: match },
+
+          {
+            $facet: {
+              // _id keeps page boundaries stable on ties
+              meals: [
+                { $sort: { ...sorts[sortBy], _id: 1 } },
+                { $skip: skip },
+                { $limit: limit },
+                { $project: PUBLIC_MEAL_PROJECTION },
+              ],
+              total: [{ $count: "count" }],
+              categories: [
+                { $group: { _id: "$category", count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+              ],
+              priceBuckets: [
+                {
+                  $bucket: {
+                    groupBy: "$price",
+                    boundaries: PRICE_BUCKETS,
+                    default: `${PRICE_BUCKETS[PRICE_BUCKETS.length - 1]}+`,
+                    output: { count: { $sum: 1 } },
+                  },
+                },
+              ],
+            },
+          },
+        ])
+        .toArray();
+
+      const totalMeals = result.total[0]?.count || 0;
+
+      res.send({
+        meals: result.meals,
+        totalMeals,
+        totalPages: Math.ceil(totalMeals / limit),
+        currentPage: page,
+        facets: {
+          categories: result.categories.map((c) => ({
+            category: c._id,
+            count: c.count,
+          })),
+          priceBuckets: result.priceBuckets.map((b) => ({
+            min: b._id,
+            count: b.count,
+          })),
+        },
+      });
+    } catch (err) {
+      console.error("/meals GET error:", err);
+      res.status(500).send({ message: "Failed to fetch meals" });
+    }
+  });
+
+  // the user's liked / disliked / recently ordered meal ids from their
+  // favorites, orders and reviews (a review adds rating - 3)
+  const getMealAffinity = async (email) => {
+    const [favorites, orders, reviews] = await Promise.all([
+      favoritesCollection
+        .find({ userEmail: email }, { projection: { mealId: 1 } })
+        .toArray(),
+      ordersCollection
+        .find(
+          { userEmail: email, orderStatus: { $nin: DEAD_ORDER_STATUSES } },
+          { projection: { items: 1, createdAt: 1 } }
+        )
+        .sort({ createdAt: -1 })
+        .limit(200)
+        .toArray(),
+      reviewsCollection
+        .find(
+          { reviewerEmail: email },
+          { projection: { foodId: 1, rating: 1 } }
+        )
+        .toArray(),
+    ]);
+
+    const affinity = new Map();
+    const add = (mealId, weight) =>
+      affinity.set(
+        String(mealId),
+        (affinity.get(String(mealId)) || 0) + weight
+      );
+    favorites.forEach((f) => add(f.mealId, AFFINITY_WEIGHTS.favorite));
+    reviews.forEach((r) => add(r.foodId, r.rating - 3));
+
+    const recentSince = addDays(new Date(), -RECENT_ORDER_DAYS);
+    const recent = new Set();
+    for (const order of orders) {
+      for (const item of order.items || []) {
+        add(item.mealId, AFFINITY_WEIGHTS.order);
+        if (order.createdAt >= recentSince) recent.add(String(item.mealId));
+      }
+    }
+
+    const ids = (keep) =>
+      [...affinity]
+        .filter(([id, weight]) => ObjectId.isValid(id) && keep(weight))
+        .map(([id]) => id);
+    return {
+      liked: ids((weight) => weight > 0),
+      disliked: ids((weight) => weight < 0),
+      recent: [...recent].filter((id) => ObjectId.isValid(id)),
+    };
+  };
+
+  // "people who ordered this also ordered": meals bought by other users
+  // who bought the liked ones, counted once per buyer
+  const getCoOrderedMeals = async (email, liked) => {
+    const buyers = await ordersCollection
+      .aggregate([
+        {
+          $match: {
+            userEmail: { $ne: email },
+            "items.mealId": { $in: liked },
+            orderStatus: { $nin: DEAD_ORDER_STATUSES },
+          },
+        },
+        { $group: { _id: "$userEmail" } },
+        { $limit: CO_BUYER_SAMPLE },
+      ])
+      .toArray();
+    if (!buyers.length) return [];
+
+    return ordersCollection
+      .aggregate([
+        {
+          $match: {
+            userEmail: { $in: buyers.map((b) => b._id) },
+            orderStatus: { $nin: DEAD_ORDER_STATUSES },
+          },
+        },
+        { $unwind: "$items" },
+        { $match: { "items.mealId": { $nin: liked } } },
+        { $group: { _id: { mealId: "$items.mealId", user: "$userEmail" } } },
+        { $group: { _id: "$_id.mealId", buyers: { $sum: 1 } } },
+        { $sort: { buyers: -1 } },
+        { $limit: 200 },
+      ])
+      .toArray();
+  };
+
+  // visible meals whose chef isn't suspended (hidden covers most of it,
+  // the lookup catches meals that slipped through)
+  const recommendableMealStages = (excludeIds) => [
+    {
+      $match: {
+        hidden: { $ne: true },
+        _id: { $nin: excludeIds.map((id) => new ObjectId(id)) },
+      },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "chefEmail",
+        foreignField: "email",
+        pipeline: [{ $project: { status: 1 } }],
+        as: "chefUser",
+      },
+    },
+    { $match: { "chefUser.status": { $ne: "fraud" } } },
+    { $project: { chefUser: 0 } },
+  ];
+
+  // ranked meals for a user; tops up with the best rated when the
+  // user's history doesn't give enough (or any) candidates
+  const recommendMeals = async (email, limit) => {
+    const { liked, disliked, recent } = await getMealAffinity(email);
+    const excluded = [...new Set([...liked, ...disliked, ...recent])];
+    let meals = [];
+
+    if (liked.length) {
+      const [coOrdered, likedMeals] = await Promise.all([
+        getCoOrderedMeals(email, liked),
+        mealsColl
+          .find(
+            { _id: { $in: liked.map((id) => new ObjectId(id)) } },
+            { projection: { category: 1, chefEmail: 1 } }
+          )
+          .toArray(),
+      ]);
+      const coIds = coOrdered.map((m) => m._id);
+      const coBuyers = coOrdered.map((m) => m.buyers);
+      const categories = [
+        ...new Set(likedMeals.map((m) => m.category).filter(Boolean)),
+      ];
+      const chefs = [...new Set(likedMeals.map((m) => m.chefEmail))];
+      const w = RECOMMENDATION_WEIGHTS;
+
+      meals = await mealsColl
+        .aggregate([
+          ...recommendableMealStages(excluded),
+          {
+            $match: {
+              $or: [
+                {
+                  _id: {
+                    $in: coIds
+                      .filter((id) => ObjectId.isValid(id))
+                      .map((id) => new ObjectId(id)),
+                  },
+                },
+                { category: { $in: categories } },
+                { chefEmail: { $in: chefs } },
+              ],
+            },
+          },
+          {
+            $addFields: {
+              coBuyers: {
+                $let: {
+                  vars: {
+                    i: { $indexOfArray: [coIds, { $toString: "$_id" }] },
+                  },
+                  in: {
+                    $cond: [
+                      { $gte: ["$$i", 0] },
+                      { $arrayElemAt: [coBuyers, "$$i"] },
+                      0,
+                    ],
+                  },
+                },
+              },
+              sameChef: { $in: ["$chefEmail", chefs] },
+              sameCategory: { $in: ["$category", categories] },
+            },
+          },
+          {
+            $addFields: {
+              score: {
+                $add: [
+                  { $multiply: ["$coBuyers", w.coOrdered] },
+                  { $cond: ["$sameChef", w.chef, 0] },
+                  { $cond: ["$sameCategory", w.category, 0] },
+                  { $multiply: [{ $ifNull: ["$avgRating", 0] }, w.rating] },
+                ],
+              },
+              reason: {
+                $switch: {
+                  branches: [
+                    {
+                      case: { $gt: ["$coBuyers", 0] },
+                      then: "ordered_together",
+                    },
+                    { case: "$sameChef", then: "chef_you_like" },
+                  ],
+                  default: "category_you_like",
+                },
+              },
+            },
+          },
+          { $sort: { score: -1, totalReviews: -1, _id: 1 } },
+          { $limit: limit },
+          {
+            $project: {
+              coBuyers: 0,
+              sameChef: 0,
+              sameCategory: 0,
+              ...PUBLIC_MEAL_PROJECTION,
+            },
+          },
+        ])
+        .toArray();
+    }
+
+    if (meals.length < limit) {
+      const topRated = await mealsColl
+        .aggregate([
+          ...recommendableMealStages([
+            ...excluded,
+            ...meals.map((m) => m._id.toString()),
+          ]),
+          { $sort: { avgRating: -1, totalReviews: -1, _id: 1 } },
+          { $limit: limit - meals.length },
+          { $addFields: { reason: "top_rated" } },
+          { $project: PUBLIC_MEAL_PROJECTION },
+        ])
+        .toArray();
+      meals = meals.concat(topRated);
+    }
+
+    return { meals, personalized: liked.length > 0 };
+  };
+
+  // RECOMMENDED MEALS for the logged-in user (Protected), ?limit=
+  // each meal has a reason: ordered_together | chef_you_like |
+  // category_you_like | top_rated
+  app.get("/meals/recommended", verifyJWT, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 10, MAX_PAGE_SIZE);
+      res.send(await recommendMeals(req.tokenEmail, limit));
+    } catch (err) {
+      console.error("/meals/recommended error:", err);
+      res.status(500).send({ message: "Failed to fetch recommendations" });
+    }
+  });
+
+  // MOST POPULAR MEALS (public), ?limit= &category=
+  // ranked by favorites + orders (see POPULARITY_WEIGHTS)
+  app.get("/meals/popular", async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 10, MAX_PAGE_SIZE);
+      const match = { hidden: { $ne: true } };
+      if (req.query.category) match.category = String(req.query.category);
+
+      const meals = await mealsColl
+        .aggregate([
+          { $match: match },
+          {
+            $addFields: {
+              popularity: {
+                $add: [
+                  {
+                    $multiply: [
+                      { $ifNull: ["$favoriteCount", 0] },
+                      POPULARITY_WEIGHTS.favorites,
+                    ],
+                  },
+                  {
+                    $multiply: [
+                      { $ifNull: ["$orderCount", 0] },
+                      POPULARITY_WEIGHTS.orders,
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+          { $match: { popularity: { $gt: 0 } } },
+          { $sort: { popularity: -1, avgRating: -1, _id: 1 } },
+          { $limit: limit },
+          { $project: PUBLIC_MEAL_PROJECTION },
+        ])
+        .toArray();
+
+      res.send({ meals });
+    } catch (err) {
+      console.error("/meals/popular error:", err);
+      res.status(500).send({ message: "Failed to fetch popular meals" });
+    }
+  });
+
+  // MEAL AVAILABILITY for the next ?days= days (public)
+  app.get("/meals/:id/availability", async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!ObjectId.isValid(id))
+        return res.status(400).send({ message: "Invalid meal id" });
+      const days = Math.min(
+        Math.max(parseInt(req.query.days) || 7, 1),
+        MAX_BOOKING_DAYS
+      );
+
+      const meal = await mealsColl.findOne(
+        { _id: new ObjectId(id) },
+        { projection: { dailyLimit: 1, deliverySlots: 1 } }
+      );
+      if (!meal) return res.status(404).send({ message: "Meal not found" });
+
+      const dates = Array.from({ length: days }, (_, i) =>
+        toDateKey(addDays(new Date(), i))
+      );
+      const booked = await mealCapacityColl
+        .find({ _id: { $in: dates.map((date) => `${id}:${date}`) } })
+        .toArray();
+
+      const availability = dates.map((date) => {
+        const bookedQty = booked.find((b) => b.date === date)?.booked || 0;
+        return {
+          date,
+          limit: meal.dailyLimit ?? null,
+          booked: bookedQty,
+          remaining: meal.dailyLimit
+            ? Math.max(meal.dailyLimit - bookedQty, 0)
+            : null,
+        };
+      });
+
+      res.send({
+        mealId: id,
+        deliverySlots: meal.deliverySlots || [],
+        availability,
+      });
+    } catch (err) {
+      console.error("/meals/:id/availability error:", err);
+      res.status(500).send({ message: "Failed to fetch availability" });
+    }
+  });
+
+  // GET SINGLE MEAL (safe ObjectId check)
+  app.get("/meals/:id", async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!ObjectId.isValid(id))
+        return res.status(400).send({ message: "Invalid meal id" });
+
+      const meal = await mealsColl.findOne(
+        { _id: new ObjectId(id), hidden: { $ne: true } },
+        { projection: PUBLIC_MEAL_PROJECTION }
+      );
+      if (!meal) return res.status(404).send({ message: "Meal not found" });
+
+      res.send(meal);
+    } catch (err) {
+      console.error("/meals/:id error:", err);
+      res.status(500).send({ message: "Failed to fetch meal", error: err });
+    }
+  });
+
+  // GET all reviews (public)
+  app.get("/reviews", async (req, res) => {
+    try {
+      const page = await paginate(reviewsCollection, {
+        sortField: "date",
+        ...getListParams(req),
+      });
+      res.send(page);
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/reviews GET error:", err);
+      res.status(500).send({ message: "Failed to fetch reviews", error: err });
+    }
+  });
+
+  // GET reviews for a specific meal (public)
+  // Expect frontend to send mealId as string (e.g. meal._id.toString())
+  app.get("/reviews/:mealId", verifyJWT, async (req, res) => {
+    try {
+      const mealId = req.params.mealId;
+      const page = await paginate(reviewsCollection, {
+        filter: { foodId: mealId },
+        sortField: "date",
+        ...getListParams(req),
+      });
+      res.send(page);
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/reviews/:mealId error:", err);
+      res.status(500).send({ message: "Failed to fetch reviews", error: err });
+    }
+  });
+
+  // ADD REVIEW (Protected, one per user per meal, delivered orders only)
+  app.post("/reviews", verifyJWT, rateLimit("reviews"), async (req, res) => {
+    try {
+      const { foodId, rating, comment, reviewerName, reviewerImage } =
+        req.body || {};
+      if (!foodId) return res.status(400).send({ message: "foodId required" });
+
+      // If reviewerEmail provided, ensure it matches token
+      if (
+        req.body?.reviewerEmail &&
+        req.body?.reviewerEmail !== req.tokenEmail
+      ) {
+        return res.status(403).send({ message: "Forbidden!" });
+      }
+
+      if (!isValidRating(rating)) {
+        return res
+          .status(400)
+          .send({ message: "rating must be a whole number from 1 to 5" });
+      }
+
+      // Normalize: store foodId as string
+      const mealId = String(foodId);
+
+      const delivered = await ordersCollection.findOne({
+        userEmail: req.tokenEmail,
+        orderStatus: "delivered",
+        $or: [{ "items.mealId": mealId }, { foodId: mealId }],
+      });
+      if (!delivered) {
+        return res.status(403).send({
+          errorType: "NOT_PURCHASED",
+          message: "You can review a meal after it has been delivered to you.",
+        });
+      }
+
+      const review = {
+        foodId: mealId,
+        rating,
+        comment,
+        reviewerName,
+        reviewerImage,
+        reviewerEmail: req.tokenEmail,
+        orderId: delivered._id.toString(),
+        verifiedPurchase: true,
+        date: new Date(),
+      };
+
+      const result = await reviewsCollection.insertOne(review);
+      await refreshMealRating(mealId);
+
+      const meal = await mealsColl.findOne(
+        { _id: new ObjectId(mealId) },
+        { projection: { chefEmail: 1, foodName: 1 } }
+      );
+      await notify(meal?.chefEmail, "review", {
+        title: "New review",
+        message: `${reviewerName || req.tokenEmail} rated ${
+          meal?.foodName || "your meal"
+        } ${rating}/5`,
+        data: { mealId, reviewId: result.insertedId.toString(), rating },
+      });
+      res.send(result);
+    } catch (err) {
+      if (err.code === 11000) {
+        return res
+          .status(409)
+          .send({ message: "You already reviewed this meal" });
+      }
+      console.error("/reviews POST error:", err);
+      res.status(500).send({ message: "Failed to submit review", error: err });
+    }
+  });
+
+  // ADD TO FAVORITES (Protected), body: { mealId }
+  app.post(
+    "/favorites",
+    verifyJWT,
+    rateLimit("favorites"),
+    async (req, res) => {
+      try {
+        const { userEmail, mealId } = req.body || {};
+        if (!mealId)
+          return res.status(400).send({ message: "mealId required" });
+
+        if (userEmail && userEmail !== req.tokenEmail)
+          return res.status(403).send({ message: "Forbidden!" });
+
+        // store mealId as string to avoid ObjectId mismatch
+        const mealIdStr = String(mealId);
+        if (!ObjectId.isValid(mealIdStr))
+          return res.status(400).send({ message: "Invalid meal id" });
+
+        const meal = await mealsColl.findOne(
+          { _id: new ObjectId(mealIdStr), hidden: { $ne: true } },
+          { projection: { foodName: 1 } }
+        );
+        if (!meal) return res.status(404).send({ message: "Meal not found" });
+
+        // unique userEmail + mealId index turns a repeat into 11000
+        const result = await favoritesCollection.insertOne({
+          userEmail: req.tokenEmail,
+          mealId: mealIdStr,
+          mealName: meal.foodName,
+          addedTime: new Date(),
+        });
+        await mealsColl.updateOne(
+          { _id: meal._id },
+          { $inc: { favoriteCount: 1 } }
+        );
+
+        res.send({ success: true, result });
+      } catch (err) {
+        if (err.code === 11000) return res.send({ exists: true });
+        console.error("/favorites POST error:", err);
+        res.status(500).send({ message: "Failed to add favorite", error: err });
+      }
+    }
+  );
+
+  // current meal data for a page of favorites. a meal that was deleted or
+  // hidden since comes back as meal: null / available: false
+  const withFavoriteMeals = async (favorites) => {
+    const ids = favorites
+      .map((favorite) => favorite.mealId)
+      .filter((id) => ObjectId.isValid(id));
+    const meals = await mealsColl
+      .find(
+        { _id: { $in: ids.map((id) => new ObjectId(id)) } },
+        {
+          projection: {
+            foodName: 1,
+            foodImage: 1,
+            price: 1,
+            avgRating: 1,
+            totalReviews: 1,
+            favoriteCount: 1,
+            chefName: 1,
+            chefId: 1,
+            dailyLimit: 1,
+            hidden: 1,
+          },
+        }
+      )
+      .toArray();
+    const today = toDateKey(new Date());
+    const booked = await mealCapacityColl
+      .find({ _id: { $in: ids.map((id) => `${id}:${today}`) } })
+      .toArray();
+
+    return favorites.map((favorite) => {
+      const meal = meals.find((m) => m._id.toString() === favorite.mealId);
+      if (!meal || meal.hidden)
+        return { ...favorite, meal: null, available: false };
+
+      const { hidden, dailyLimit, ...mealData } = meal;
+      const bookedToday =
+        booked.find((b) => b.mealId === favorite.mealId)?.booked || 0;
+      const remainingToday = dailyLimit
+        ? Math.max(dailyLimit - bookedToday, 0)
+        : null;
+      return {
+        ...favorite,
+        meal: mealData,
+        available: remainingToday !== 0,
+        remainingToday,
+      };
+    });
+  };
+
+  // GET USER'S FAVORITES with live meal data (the user or an admin)
+  app.get("/favorites/:email", verifyJWT, async (req, res) => {
+    try {
+      const email = req.params.email;
+      if (email !== req.tokenEmail) {
+        const user = await getRequestUser(req);
+        if (user?.role !== "admin")
+          return res.status(403).send({ message: "Forbidden!" });
+      }
+
+      const page = await paginate(favoritesCollection, {
+        filter: { userEmail: email },
+        sortField: "addedTime",
+        ...getListParams(req),
+      });
+      res.send({ ...page, items: await withFavoriteMeals(page.items) });
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/favorites GET error:", err);
+      res.status(500).send({ message: "Failed to fetch favorites" });
+    }
+  });
+
+  // REMOVE FAVORITE (the user who added it)
+  app.delete("/favorites/:id", verifyJWT, async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!ObjectId.isValid(id))
+        return res.status(400).send({ message: "Invalid favorite id" });
+
+      const favorite = await favoritesCollection.findOne({
+        _id: new ObjectId(id),
+      });
+      if (!favorite)
+        return res.status(404).send({ message: "Favorite not found" });
+      if (favorite.userEmail !== req.tokenEmail)
+        return res.status(403).send({ message: "Forbidden!" });
+
+      const result = await favoritesCollection.deleteOne({ _id: favorite._id });
+      if (result.deletedCount && ObjectId.isValid(favorite.mealId)) {
+        await mealsColl.updateOne(
+          { _id: new ObjectId(favorite.mealId), favoriteCount: { $gt: 0 } },
+          { $inc: { favoriteCount: -1 } }
+        );
+      }
+      res.send(result);
+    } catch (err) {
+      console.error("/favorites DELETE error:", err);
+      res.status(500).send({ message: "Failed to remove favorite" });
+    }
+  });
+
+  // build line items from meals in DB, client only sends mealId + quantity
+  const priceOrderItems = async (items) => {
+    if (!Array.isArray(items) || items.length === 0)
+      throw httpError(400, "items required");
+
+    // merge repeated meals into one line
+    const quantities = new Map();
+    for (const item of items) {
+      const mealId = String(item?.mealId);
+      const quantity = Number(item?.quantity);
+      if (!ObjectId.isValid(mealId))
+        throw httpError(400, `Invalid meal id: ${mealId}`);
+      if (!Number.isInteger(quantity) || quantity < 1)
+        throw httpError(400, "quantity must be a positive integer");
+      quantities.set(mealId, (quantities.get(mealId) || 0) + quantity);
+    }
+
+    const meals = await mealsColl
+      .find({
+        _id: { $in: [...quantities.keys()].map((id) => new ObjectId(id)) },
+        hidden: { $ne: true },
+      })
+      .toArray();
+    if (meals.length !== quantities.size)
+      throw httpError(404, "One or more meals not found");
+
+    // one order goes to one chef
+    const chefEmails = new Set(meals.map((m) => m.chefEmail));
+    if (chefEmails.size > 1)
+      throw httpError(400, "All items in an order must be from the same chef");
+
+    const lineItems = meals.map((meal) => {
+      const mealId = meal._id.toString();
+      const quantity = quantities.get(mealId);
+      if (quantity > MAX_ITEM_QUANTITY)
+        throw httpError(400, `Max ${MAX_ITEM_QUANTITY} per meal`);
+
+      const unitCents = toCents(meal.price);
+      if (!Number.isFinite(unitCents) || unitCents <= 0)
+        throw httpError(409, `Meal ${mealId} has no valid price`);
+
+      return {
+        mealId,
+        mealName: meal.foodName || meal.mealName || meal.name,
+        image: meal.foodImage || meal.image,
+        unitPrice: fromCents(unitCents),
+        quantity,
+        lineTotal: fromCents(unitCents * quantity),
+      };
+    });
+
+    const subtotalCents = lineItems.reduce(
+      (sum, item) => sum + toCents(item.lineTotal),
+      0
+    );
+    const totalCents = subtotalCents + DELIVERY_FEE_CENTS;
+
+    return {
+      items: lineItems,
+      chefEmail: meals[0].chefEmail,
+      chefId: meals[0].chefId,
+      currency: CURRENCY,
+      subtotal: fromCents(subtotalCents),
+      deliveryFee: fromCents(DELIVERY_FEE_CENTS),
+      total: fromCents(totalCents),
+      totalCents,
+    };
+  };
+
+  // check the slot and book each line against its meal's daily cap.
+  // conditional $inc keeps concurrent orders from overselling
+  const reserveOrderCapacity = async ({
+    items,
+    deliveryDate,
+    deliverySlot,
+  }) => {
+    const today = toDateKey(new Date());
+    const lastDay = toDateKey(addDays(new Date(), MAX_BOOKING_DAYS - 1));
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(deliveryDate)))
+      throw httpError(400, "deliveryDate (YYYY-MM-DD) required");
+    if (deliveryDate < today || deliveryDate > lastDay)
+      throw httpError(
+        400,
+        `deliveryDate must be within ${MAX_BOOKING_DAYS} days`
+      );
+
+    const meals = await mealsColl
+      .find(
+        { _id: { $in: items.map((item) => new ObjectId(item.mealId)) } },
+        { projection: { dailyLimit: 1, deliverySlots: 1, foodName: 1 } }
+      )
+      .toArray();
+
+    for (const meal of meals) {
+      if (!meal.deliverySlots?.length) continue;
+      if (!meal.deliverySlots.includes(deliverySlot))
+        throw httpError(400, `Pick a delivery slot for ${meal.foodName}`);
+    }
+
+    const reserved = [];
+    const release = () =>
+      Promise.all(
+        reserved.map(({ _id, quantity }) =>
+          mealCapacityColl.updateOne({ _id }, { $inc: { booked: -quantity } })
+        )
+      );
+
+    try {
+      for (const item of items) {
+        const meal = meals.find((m) => m._id.toString() === item.mealId);
+        if (!meal?.dailyLimit) continue;
+
+        const _id = `${item.mealId}:${deliveryDate}`;
+        await mealCapacityColl
+          .updateOne(
+            { _id },
+            {
+              $setOnInsert: {
+                mealId: item.mealId,
+                date: deliveryDate,
+                booked: 0,
+              },
+            },
+            { upsert: true }
+          )
+          .catch((err) => {
+            // parallel upsert of the same day already created it
+            if (err.code !== 11000) throw err;
+          });
+        const result = await mealCapacityColl.updateOne(
+          { _id, booked: { $lte: meal.dailyLimit - item.quantity } },
+          { $inc: { booked: item.quantity } }
+        );
+        if (!result.modifiedCount)
+          throw httpError(
+            409,
+            `${meal.foodName} is sold out for ${deliveryDate}`
+          );
+        reserved.push({ _id, quantity: item.quantity });
+      }
+    } catch (err) {
+      await release();
+      throw err;
+    }
+
+    return release;
+  };
+
+  // popularity counter for GET /meals?sortBy=popular and /meals/popular:
+  // live orders per meal. meals still waiting for backfillOrderCounts are
+  // left to it
+  const countMealOrders = async (order, delta) => {
+    const mealIds = (order.items || [])
+      .map((item) => item.mealId)
+      .filter((id) => ObjectId.isValid(id));
+    if (!mealIds.length) return;
+    await mealsColl.updateMany(
+      {
+        _id: { $in: mealIds.map((id) => new ObjectId(id)) },
+        orderCount: delta > 0 ? { $exists: true } : { $gt: 0 },
+      },
+      { $inc: { orderCount: delta } }
+    );
+  };
+
+  // give a cancelled / rejected order's quantity back to the day
+  const releaseOrderCapacity = async (order) => {
+    if (!order?.deliveryDate || !order.items) return;
+    await Promise.all(
+      order.items.map((item) =>
+        mealCapacityColl.updateOne(
+          { _id: `${item.mealId}:${order.deliveryDate}`, booked: { $gt: 0 } },
+          { $inc: { booked: -item.quantity } }
+        )
+      )
+    );
+  };
+
+  // look up a code and check it against this cart; errors carry a status
+  const findUsablePromo = async (
+    code,
+    { userEmail, chefEmail, subtotalCents }
+  ) => {
+    const promo = await promoCodesColl.findOne({
+      code: String(code).trim().toUpperCase(),
+      active: true,
+    });
+    if (!promo) throw httpError(404, "Promo code not found");
+    if (promo.expiresAt && promo.expiresAt < new Date())
+      throw httpError(410, "Promo code has expired");
+    if (promo.chefEmail && promo.chefEmail !== chefEmail)
+      throw httpError(400, "Promo code is not valid for these meals");
+    if (promo.minOrderValue && subtotalCents < toCents(promo.minOrderValue))
+      throw httpError(
+        400,
+        `Minimum order for this code is ${promo.minOrderValue}`
+      );
+    if (promo.maxUses && promo.usedCount >= promo.maxUses)
+      throw httpError(409, "Promo code has been fully redeemed");
+
+    if (promo.perUserLimit) {
+      const usage = await promoUsageColl.findOne({
+        _id: `${promo.code}:${userEmail}`,
+      });
+      if ((usage?.count || 0) >= promo.perUserLimit)
+        throw httpError(409, "You have already used this promo code");
+    }
+
+    return promo;
+  };
+
+  // count one use against the global cap and the user's limit.
+  // conditional $inc so a capped code can't be over-redeemed; returns undo
+  const redeemPromo = async (promo, userEmail) => {
+    const claimed = await promoCodesColl.updateOne(
+      promo.maxUses
+        ? { _id: promo._id, usedCount: { $lt: promo.maxUses } }
+        : { _id: promo._id },
+      { $inc: { usedCount: 1 } }
+    );
+    if (!claimed.modifiedCount)
+      throw httpError(409, "Promo code has been fully redeemed");
+    const undoGlobal = () =>
+      promoCodesColl.updateOne({ _id: promo._id }, { $inc: { usedCount: -1 } });
+
+    if (!promo.perUserLimit) return undoGlobal;
+
+    const _id = `${promo.code}:${userEmail}`;
+    try {
+      await promoUsageColl
+        .updateOne({ _id }, { $setOnInsert: { count: 0 } }, { upsert: true })
+        .catch((err) => {
+          if (err.code !== 11000) throw err;
+        });
+      const used = await promoUsageColl.updateOne(
+        { _id, count: { $lt: promo.perUserLimit } },
+        { $inc: { count: 1 } }
+      );
+      if (!used.modifiedCount)
+        throw httpError(409, "You have already used this promo code");
+    } catch (err) {
+      await undoGlobal();
+      throw err;
+    }
+
+    return () =>
+      Promise.all([
+        undoGlobal(),
+        promoUsageColl.updateOne({ _id }, { $inc: { count: -1 } }),
+      ]);
+  };
+
+  // order.promoRedemption marks a use counted by redeemPromo. releasing it
+  // (cancel, reject, expired checkout) gives the use back once; a retried
+  // checkout claims it again
+  const promoRedemptionOf = (promo) => ({
+    promoId: promo._id,
+    perUser: Boolean(promo.perUserLimit),
+  });
+
+  const releasePromo = async (order) => {
+    const released = await ordersCollection.findOneAndUpdate(
+      {
+        _id: order._id,
+        promoRedemption: { $exists: true },
+        "promoRedemption.releasedAt": null,
+      },
+      { $set: { "promoRedemption.releasedAt": new Date() } },
+      { projection: { promoRedemption: 1, discount: 1, userEmail: 1 } }
+    );
+    if (!released) return;
+
+    const { promoId, perUser } = released.promoRedemption;
+    await promoCodesColl.updateOne(
+      { _id: promoId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+    if (perUser) {
+      await promoUsageColl.updateOne(
+        {
+          _id: `${released.discount.code}:${released.userEmail}`,
+          count: { $gt: 0 },
+        },
+        { $inc: { count: -1 } }
+      );
+    }
+  };
+
+  const reclaimPromo = async (order) => {
+    const promo = await promoCodesColl.findOne({
+      _id: order.promoRedemption.promoId,
+    });
+    if (!promo) throw httpError(409, "Promo code is no longer available");
+    const undo = await redeemPromo(promo, order.userEmail);
+    const claimed = await ordersCollection.updateOne(
+      { _id: order._id, "promoRedemption.releasedAt": { $ne: null } },
+      { $set: { promoRedemption: promoRedemptionOf(promo) } }
+    );
+    // a parallel retry got there first
+    if (!claimed.modifiedCount) await undo();
+  };
+
+  // order totals after a promo, stored alongside the undiscounted subtotal
+  const applyPromo = (pricing, promo) => {
+    const subtotalCents = toCents(pricing.subtotal);
+    const discountCents = computeDiscountCents(promo, subtotalCents);
+    const totalCents = pricing.totalCents - discountCents;
+    return {
+      ...pricing,
+      discount: {
+        code: promo.code,
+        type: promo.type,
+        value: promo.value,
+        amount: fromCents(discountCents),
+      },
+      discountCents,
+      total: fromCents(totalCents),
+      totalCents,
+    };
+  };
+
+  // PLACE ORDER, suspended users can't (Protected)
+  app.post("/orders", verifyJWT, rateLimit("orders"), async (req, res) => {
+    const {
+      items,
+      userAddress,
+      userName,
+      deliveryDate,
+      deliverySlot,
+      promoCode,
+    } = req.body || {};
+
+    let pricing;
+    let promo;
+    let releaseCapacity;
+    let undoPromo = async () => {};
+    try {
+      pricing = await priceOrderItems(items);
+      if (promoCode) {
+        promo = await findUsablePromo(promoCode, {
+          userEmail: req.tokenEmail,
+          chefEmail: pricing.chefEmail,
+          subtotalCents: toCents(pricing.subtotal),
+        });
+      }
+      releaseCapacity = await reserveOrderCapacity({
+        items: pricing.items,
+        deliveryDate,
+        deliverySlot,
+      });
+      if (promo) {
+        undoPromo = await redeemPromo(promo, req.tokenEmail).catch(
+          async (err) => {
+            await releaseCapacity();
+            throw err;
+          }
+        );
+        pricing = applyPromo(pricing, promo);
+      }
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      throw err;
+    }
+
+    const order = {
+      userEmail: req.tokenEmail,
+      userName,
+      userAddress,
+      deliveryDate,
+      deliverySlot: deliverySlot || null,
+      ...pricing,
+    };
+    if (promo) order.promoRedemption = promoRedemptionOf(promo);
+
+    order.orderTime = new Date();
+    order.orderStatus = "pending"; // ✅ default status
+    order.paymentStatus = "pending";
+    order.createdAt = new Date(); // ✅ REQUIRED for Pay Now button
+    order.statusHistory = [
+      {
+        from: null,
+        to: "pending",
+        actor: req.tokenEmail,
+        actorRole: "customer",
+        at: order.createdAt,
+      },
+    ];
+
+    let result;
+    try {
+      result = await ordersCollection.insertOne(order);
+    } catch (err) {
+      await releaseCapacity();
+      await undoPromo();
+      throw err;
+    }
+    publishOrderEvent("order.created", order);
+
+    await countMealOrders(order, 1);
+
+    res.send({ ...result, order });
+  });
+
+  // LIVE ORDER FEED (SSE, Protected)
+  // chefs: new + cancelled orders for their meals, customers: their orders.
+  // EventSource resends Last-Event-ID on reconnect, missed events replay
+  app.get("/stream/orders", tokenFromQuery, verifyJWT, (req, res) => {
+    const email = req.tokenEmail;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    const send = (event) => {
+      if (!orderEventVisibleTo(event, email)) return;
+      res.write(
+        `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+          event.order
+        )}\n\n`
+      );
+    };
+
+    const lastEventId = Number(
+      req.get("Last-Event-ID") || req.query.lastEventId
+    );
+    if (lastEventId) {
+      const oldest = orderFeed.recent[0];
+      // gap bigger than the buffer (or another instance): client refetches
+      if (!oldest || oldest.id > lastEventId + 1) {
+        res.write(`event: resync\ndata: {}\n\n`);
+      }
+      orderFeed.recent.filter((e) => e.id > lastEventId).forEach(send);
+    }
+
+    orderFeed.on("event", send);
+    const heartbeat = setInterval(
+      () => res.write(`: ping\n\n`),
+      SSE_HEARTBEAT_MS
+    );
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      orderFeed.off("event", send);
+    });
+  });
+
+  // GET ORDERS BY USER EMAIL (your own, or anyone's for an admin)
+  app.get("/orders", verifyJWT, async (req, res) => {
+    try {
+      const email = req.query.email;
+      if (!email) {
+        return res.status(400).send({ message: "Email query required" });
+      }
+      if (email !== req.tokenEmail) {
+        const user = await getRequestUser(req);
+        if (user?.role !== "admin")
+          return res.status(403).send({ message: "Forbidden!" });
+      }
+
+      // ?status= &from= &to= &cursor= &limit=
+      const filter = {
+        userEmail: email,
+        ...getDateFilter("createdAt", req.query),
+      };
+      if (req.query.status) filter.orderStatus = req.query.status;
+
+      const page = await paginate(ordersCollection, {
+        filter,
+        sortField: "createdAt",
+        ...getListParams(req),
+      });
+      res.send(page);
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/orders GET error:", err);
+      res.status(500).send({ message: "Failed to fetch orders" });
+    }
+  });
+
+  // EXPORT ORDERS AS CSV (chef: their own, admin: all or ?chefEmail=)
+  // ?status= &from= &to=, streamed from the cursor so size doesn't matter
+  app.get(
+    "/orders/export",
+    verifyJWT,
+    verifyChef,
+    rateLimit("exports"),
+    async (req, res) => {
+      let filter;
+      try {
+        filter = getDateFilter("createdAt", req.query);
+      } catch (err) {
+        return res.status(err.status).send({ message: err.message });
+      }
+      const { status, chefEmail } = req.query;
+      if (status) {
+        if (!Object.hasOwn(ORDER_TRANSITIONS, status))
+          return res.status(400).send({ message: "Unknown order status" });
+        filter.orderStatus = status;
+      }
+      if (req.user.role !== "admin") filter.chefEmail = req.tokenEmail;
+      else if (chefEmail) filter.chefEmail = String(chefEmail);
+
+      const cursor = ordersCollection.find(filter).sort({ createdAt: -1 });
+      async function* rows() {
+        yield toCsvRow(Object.keys(ORDER_CSV_COLUMNS));
+        for await (const order of cursor) {
+          yield toCsvRow(
+            Object.values(ORDER_CSV_COLUMNS).map((get) => get(order))
+          );
+        }
+      }
+
+      res.set({
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="orders-${toDateKey(
+          new Date()
+        )}.csv"`,
+        "Cache-Control": "private, no-store",
+      });
+      try {
+        // pipeline waits on the client and stops the cursor if it leaves
+        await pipeline(Readable.from(rows()), res);
+      } catch (err) {
+        if (err.code !== "ERR_STREAM_PREMATURE_CLOSE")
+          console.error("/orders/export error:", err);
+      } finally {
+        await cursor.close();
+      }
+    }
+  );
+
+  // ORDER RECEIPT as printable html (the customer, owning chef or an admin)
+  // ?download=true saves it as a file instead of opening it
+  app.get("/orders/:id/receipt", verifyJWT, async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ message: "Invalid order id" });
+      }
+
+      const order = await ordersCollection.findOne({ _id: new ObjectId(id) });
+      if (!order) return res.status(404).send({ message: "Order not found" });
+
+      const user = await userColl.findOne({ email: req.tokenEmail });
+      if (getOrderActorRoles(order, user).length === 0) {
+        return res.status(403).send({ message: "Forbidden!" });
+      }
+
+      const payment = await paymentCollection.findOne({ orderId: id });
+      if (req.query.download === "true") res.attachment(`receipt-${id}.html`);
+      res
+        .set("Cache-Control", "private, no-store")
+        .type("html")
+        .send(renderReceipt(order, payment));
+    } catch (err) {
+      console.error("/orders/:id/receipt error:", err);
+      res.status(500).send({ message: "Failed to render receipt" });
+    }
+  });
+
+  // get a single order (its customer, its chef or an admin)
+  app.get("/orders/:id", verifyJWT, async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ message: "Invalid order id" });
+      }
+
+      const order = await ordersCollection.findOne({ _id: new ObjectId(id) });
+
+      if (!order) {
+        return res.status(404).send({ message: "Order not found" });
+      }
+
+      const user = await userColl.findOne({ email: req.tokenEmail });
+      if (getOrderActorRoles(order, user).length === 0) {
+        return res.status(403).send({ message: "Forbidden!" });
+      }
+
+      res.send(order);
+    } catch (err) {
+      console.error("/orders/:id GET error:", err);
+      res.status(500).send({ message: "Server Error" });
+    }
+  });
+
+  // GET user by email (Protected)
+  app.get("/users/:email", verifyJWT, async (req, res) => {
+    try {
+      const email = req.params.email;
+
+      // Security: only allow user to read their own data
+      if (email !== req.tokenEmail) {
+        return res.status(403).send({ message: "Forbidden!" });
+      }
+
+      let user = await userColl.findOne({ email });
+      if (!user) {
+        return res.status(404).send({ message: "User not found" });
+      }
+      if (user.status === "fraud" && !isSuspended(user)) {
+        await liftSuspension(user, "system");
+        user = await userColl.findOne({ email });
+      }
+
+      res.send(user);
+    } catch (err) {
+      console.error("/users/:email GET error:", err);
+      res.status(500).send({ message: "Failed to fetch user", error: err });
+    }
+  });
+
+  // next chef-#### id from a counter, never reused
+  const allocateChefId = async () => {
+    const counter = await countersColl.findOneAndUpdate(
+      { _id: "chefId" },
+      { $inc: { seq: 1 } },
+      { upsert: true, returnDocument: "after" }
+    );
+    return `chef-${String(counter.seq).padStart(4, "0")}`;
+  };
+
+  // give the user the role; chefs keep an earlier chefId or get a new one.
+  // the unique chefId index rejects ids taken by old random assignments
+  const grantRole = async (user, role) => {
+    if (role !== "chef" || user.chefId) {
+      await userColl.updateOne({ _id: user._id }, { $set: { role } });
+      if (role === "chef") {
+        await mealsColl.updateMany(
+          { chefEmail: user.email, hiddenReason: "chef_revoked" },
+          { $set: { hidden: false }, $unset: { hiddenReason: "" } }
+        );
+      }
+      return { role, chefId: user.chefId };
+    }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const chefId = await allocateChefId();
+      try {
+        await userColl.updateOne({ _id: user._id }, { $set: { role, chefId } });
+        return { role, chefId };
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+    }
+    throw new Error("Could not allocate a unique chefId");
+  };
+
+  // CREATE ROLE REQUEST (Protected)
+  // body: { userEmail, requestType, application } - application is
+  // { kitchenAddress, experience, sampleDishes: [] } for chef requests
+  app.post(
+    "/role-requests",
+    verifyJWT,
+    rateLimit("role_requests"),
+    async (req, res) => {
+      try {
+        const { userEmail, userName, requestType, application } =
+          req.body || {};
+
+        if (!userEmail || !requestType) {
+          return res.status(400).send({ message: "Missing fields" });
+        }
+
+        if (userEmail !== req.tokenEmail) {
+          return res.status(403).send({ message: "Forbidden!" });
+        }
+
+        if (!REQUESTABLE_ROLES.includes(requestType)) {
+          return res.status(400).send({ message: "Invalid requestType" });
+        }
+        if (req.user?.role === requestType || req.user?.role === "admin") {
+          return res
+            .status(409)
+            .send({ message: `You already have the ${requestType} role` });
+        }
+
+        const request = {
+          userEmail,
+          userName: userName || req.user?.name,
+          requestType,
+        };
+        if (requestType === "chef") {
+          const problem = validateChefApplication(application);
+          if (problem) return res.status(400).send({ message: problem });
+          request.application = {
+            kitchenAddress: application.kitchenAddress.trim(),
+            experience: application.experience.trim(),
+            sampleDishes: application.sampleDishes.map((d) => d.trim()),
+          };
+        }
+
+        request.requestTime = new Date();
+        request.requestStatus = "pending";
+
+        const result = await roleRequestColl.insertOne(request);
+        res.send({ success: true, result });
+      } catch (err) {
+        if (err.code === 11000) {
+          return res.status(409).send({
+            success: false,
+            message:
+              "You already submitted a request. Please wait for admin approval.",
+          });
+        }
+
+        console.error("/role-requests POST error:", err);
+        res.status(500).send({ message: "Failed to create role request" });
+      }
+    }
+  );
+
+  // MY ROLE REQUESTS, newest first (Protected)
+  // ?cursor= &limit=
+  app.get("/role-requests/me", verifyJWT, async (req, res) => {
+    try {
+      const page = await paginate(roleRequestColl, {
+        filter: { userEmail: req.tokenEmail },
+        sortField: "requestTime",
+        ...getListParams(req),
+      });
+      res.send(page);
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/role-requests/me error:", err);
+      res.status(500).send({ message: "Failed to fetch role requests" });
+    }
+  });
+
+  // GET ALL ROLE REQUESTS — (Admin only)
+  // ?status= &requestType= &from= &to= (requestTime) &cursor= &limit=
+  app.get("/role-requests", verifyJWT, verifyAdmin, async (req, res) => {
+    try {
+      const filter = getDateFilter("requestTime", req.query);
+      if (req.query.status) filter.requestStatus = req.query.status;
+      if (req.query.requestType) filter.requestType = req.query.requestType;
+
+      const page = await paginate(roleRequestColl, {
+        filter,
+        sortField: "requestTime",
+        ...getListParams(req),
+      });
+      res.send(page);
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/role-requests GET error:", err);
+      res
+        .status(500)
+        .send({ message: "Failed to fetch role requests", error: err });
+    }
+  });
+
+  // decide a pending request once; returns the request as it was
+  // before, or sends 404 / 409 and returns null
+  const decideRoleRequest = async (req, res, requestStatus) => {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) {
+      res.status(400).send({ message: "Invalid request id" });
+      return null;
+    }
+
+    const request = await roleRequestColl.findOneAndUpdate(
+      { _id: new ObjectId(id), requestStatus: "pending" },
+      {
+        $set: {
+          requestStatus,
+          decidedBy: req.tokenEmail,
+          decidedAt: new Date(),
+          decisionNote: req.body?.note || null,
+        },
+      },
+      { returnDocument: "before" }
+    );
+    if (!request) {
+      const exists = await roleRequestColl.findOne({ _id: new ObjectId(id) });
+      if (!exists) res.status(404).send({ message: "Request not found" });
+      else
+        res.status(409).send({
+          message: `Request was already ${exists.requestStatus}`,
+        });
+      return null;
+    }
+    return request;
+  };
+
+  // ACCEPT ROLE REQUEST (Admin only), body: { note }
+  app.patch(
+    "/role-requests/accept/:id",
+    verifyJWT,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+
+        const request = await decideRoleRequest(req, res, "approved");
+        if (!request) return;
+
+        // Get user info
+        const user = await userColl.findOne({ email: request.userEmail });
+        let granted;
+        try {
+          if (!user) throw httpError(404, "User not found");
+          granted = await grantRole(user, request.requestType);
+        } catch (err) {
+          // put the request back so it can be decided again
+          await roleRequestColl.updateOne(
+            { _id: request._id },
+            {
+              $set: { requestStatus: "pending" },
+              $unset: { decidedBy: "", decidedAt: "", decisionNote: "" },
+            }
+          );
+          if (err.status)
+            return res.status(err.status).send({ message: err.message });
+          throw err;
+        }
+        // session tokens carry the old role until they are replaced
+        await revokeSessions(user.email);
+
+        await auditReq(req, {
+          action: "role_request.accept",
+          target: { type: "roleRequest", id },
+          before: {
+            requestStatus: request.requestStatus,
+            role: user.role,
+            chefId: user.chefId,
+          },
+          after: { requestStatus: "approved", ...granted },
+        });
+
+        await notify(request.userEmail, "role_request", {
+          title: "Request approved",
+          message: `Your ${request.requestType} request was approved.`,
+          data: {
+            requestId: id,
+            requestType: request.requestType,
+            status: "approved",
+            note: req.body?.note || null,
+          },
+        });
+
+        res.send({ success: true, message: "Request Approved!", ...granted });
+      } catch (error) {
+        console.error("/role-requests/accept error:", error);
+        res.status(500).send({ message: "Server Error" });
+      }
+    }
+  );
+
+  // REJECT ROLE REQUEST (Admin only), body: { note }
+  app.patch(
+    "/role-requests/reject/:id",
+    verifyJWT,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+
+        const request = await decideRoleRequest(req, res, "rejected");
+        if (!request) return;
+
+        await auditReq(req, {
+          action: "role_request.reject",
+          target: { type: "roleRequest", id },
+          before: { requestStatus: request.requestStatus },
+          after: { requestStatus: "rejected", note: req.body?.note || null },
+        });
+
+        await notify(request.userEmail, "role_request", {
+          title: "Request rejected",
+          message: `Your ${request.requestType} request was rejected.`,
+          data: {
+            requestId: id,
+            requestType: request.requestType,
+            status: "rejected",
+            note: req.body?.note || null,
+          },
+        });
+
+        res.send({ success: true, message: "Request Rejected!" });
+      } catch (error) {
+        console.error("/role-requests/reject error:", error);
+        res.status(500).send({ message: "Server Error" });
+      }
+    }
+  );
+
+  // REVOKE ROLE / demote to user (Admin only), body: { note }
+  // a demoted chef keeps the chefId and their meals are hidden
+  app.patch(
+    "/users/revoke-role/:email",
+    verifyJWT,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const email = req.params.email;
+        if (email === req.tokenEmail)
+          return res
+            .status(400)
+            .send({ message: "You can't revoke your own role" });
+
+        const user = await userColl.findOne({ email });
+        if (!user) return res.status(404).send({ message: "User not found" });
+        if (user.role === "user")
+          return res
+            .status(409)
+            .send({ message: "User has no role to revoke" });
+
+        await userColl.updateOne({ _id: user._id }, { $set: { role: "user" } });
+        await revokeSessions(email);
+
+        if (user.role === "chef") {
+          await mealsColl.updateMany(
+            { chefEmail: email, hidden: { $ne: true } },
+            { $set: { hidden: true, hiddenReason: "chef_revoked" } }
+          );
+        }
+
+        await roleRequestColl.updateMany(
+          {
+            userEmail: email,
+            requestType: user.role,
+            requestStatus: "approved",
+          },
+          {
+            $set: {
+              requestStatus: "revoked",
+              revokedBy: req.tokenEmail,
+              revokedAt: new Date(),
+              revokeNote: req.body?.note || null,
+            },
+          }
+        );
+
+        await auditReq(req, {
+          action: "user.revoke_role",
+          target: { type: "user", id: email },
+          before: { role: user.role, chefId: user.chefId },
+          after: { role: "user", note: req.body?.note || null },
+        });
+
+        await notify(email, "role_request", {
+          title: "Role revoked",
+          message: `Your ${user.role} role was revoked.`,
+          data: {
+            role: user.role,
+            status: "revoked",
+            note: req.body?.note || null,
+          },
+        });
+
+        res.send({ success: true });
+      } catch (err) {
+        console.error("/users/revoke-role error:", err);
+        res.status(500).send({ message: "Failed to revoke role" });
+      }
+    }
+  );
+
+  // GET reviews of logged-in user
+  app.get("/user-reviews", verifyJWT, async (req, res) => {
+    try {
+      const email = req.query.email;
+      if (!email) return res.status(400).send({ message: "email is required" });
+
+      // users can only see their own reviews
+      if (email !== req.tokenEmail)
+        return res.status(403).send({ message: "Forbidden!" });
+
+      const result = await reviewsCollection
+        .find({ reviewerEmail: email })
+        .sort({ date: -1 })
+        .toArray();
+
+      res.send(result);
+    } catch (err) {
+      console.error("/user-reviews GET error:", err);
+      res.status(500).send({ message: "Failed to fetch user reviews" });
+    }
+  });
+
+  // DELETE REVIEW (Protected)
+  app.delete("/reviews/:id", verifyJWT, async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ message: "Invalid review id" });
+      }
+
+      const review = await reviewsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!review) {
+        return res.status(404).send({ message: "Review not found" });
+      }
+
+      // Only the owner can delete
+      if (review.reviewerEmail !== req.tokenEmail) {
+        return res.status(403).send({ message: "Forbidden!" });
+      }
+
+      await reviewsCollection.deleteOne({ _id: new ObjectId(id) });
+      await refreshMealRating(review.foodId);
+
+      res.send({ success: true });
+    } catch (err) {
+      console.error("/reviews DELETE error:", err);
+      res.status(500).send({ message: "Failed to delete review" });
+    }
+  });
+
+  // UPDATE REVIEW (Protected)
+  app.patch("/reviews/:id", verifyJWT, async (req, res) => {
+    try {
+      const id = req.params.id;
+      const { rating, comment } = req.body || {};
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ message: "Invalid review id" });
+      }
+      if (!isValidRating(rating)) {
+        return res
+          .status(400)
+          .send({ message: "rating must be a whole number from 1 to 5" });
+      }
+
+      const review = await reviewsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!review) {
+        return res.status(404).send({ message: "Review not found" });
+      }
+
+      // Only owner can update
+      if (review.reviewerEmail !== req.tokenEmail) {
+        return res.status(403).send({ message: "Forbidden!" });
+      }
+
+      const updated = await reviewsCollection.updateOne(
+        { _id: new ObjectId(id) },
+        {
+          $set: {
+            rating,
+            comment,
+            date: new Date(),
+          },
+        }
+      );
+      await refreshMealRating(review.foodId);
+
+      res.send({ success: true, updated });
+    } catch (err) {
+      console.error("/reviews PATCH error:", err);
+      res.status(500).send({ message: "Failed to update review" });
+    }
+  });
+
+  // order request
+  app.post("/order-requests", verifyJWT, async (req, res) => {
+    try {
+      const orderData = req.body || {};
+      orderData.createdAt = new Date();
+      const result = await orderRequestsCollection.insertOne(orderData);
+      res.send(result);
+    } catch (error) {
+      console.error("/order-requests POST error:", error);
+      res.status(500).send({ message: "Server Error" });
+    }
+  });
+
+  // get all order request
+  // ?status= (paymentStatus) &from= &to= &cursor= &limit=
+  app.get("/order-requests", verifyJWT, verifyChef, async (req, res) => {
+    try {
+      const filter = getDateFilter("createdAt", req.query);
+      if (req.query.status) filter.paymentStatus = req.query.status;
+
+      const page = await paginate(orderRequestsCollection, {
+        filter,
+        sortField: "createdAt",
+        ...getListParams(req),
+      });
+      res.send(page);
+    } catch (error) {
+      if (error.status)
+        return res.status(error.status).send({ message: error.message });
+      console.error("/order-requests GET error:", error);
+      res.status(500).send({ message: "Server Error" });
+    }
+  });
+
+  // get order request by email
+  // ?status= (orderStatus) &from= &to= (createdAt) &cursor= &limit=
+  app.get("/orders/chef/:email", verifyJWT, verifyChef, async (req, res) => {
+    try {
+      const email = req.params.email;
+      if (!isOwnerOrAdmin(req, email))
+        return res.status(403).send({ message: "Forbidden!" });
+
+      const filter = getDateFilter("createdAt", req.query);
+      filter.chefEmail = email;
+      if (req.query.status) filter.orderStatus = req.query.status;
+
+      const page = await paginate(ordersCollection, {
+        filter,
+        sortField: "createdAt",
+        ...getListParams(req),
+      });
+      res.send(page);
+    } catch (error) {
+      if (error.status)
+        return res.status(error.status).send({ message: error.message });
+      console.error("/orders/chef error:", error);
+      res.status(500).send({ message: "Server Error" });
+    }
+  });
+
+  // update payment status (the request's chef or an admin)
+  app.patch("/order-requests/:id", verifyJWT, verifyChef, async (req, res) => {
+    try {
+      const id = req.params.id;
+      const { paymentStatus } = req.body || {};
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ message: "Invalid request id" });
+      }
+      if (typeof paymentStatus !== "string" || !paymentStatus.trim()) {
+        return res.status(400).send({ message: "paymentStatus required" });
+      }
+
+      const request = await orderRequestsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+      if (!request) {
+        return res.status(404).send({ message: "Request not found" });
+      }
+      if (!isOwnerOrAdmin(req, request.chefEmail)) {
+        return res.status(403).send({ message: "Forbidden!" });
+      }
+
+      const result = await orderRequestsCollection.updateOne(
+        { _id: request._id },
+        { $set: { paymentStatus } }
+      );
+
+      await auditReq(req, {
+        action: "order_request.payment",
+        target: { type: "orderRequest", id },
+        before: { paymentStatus: request.paymentStatus ?? null },
+        after: { paymentStatus },
+      });
+
+      res.send(result);
+    } catch (error) {
+      console.error("/order-requests/:id PATCH error:", error);
+      res.status(500).send({ message: "Server Error" });
+    }
+  });
+
+  // insert a ledger entry once; false when it already exists
+  const addLedgerEntry = async (entry) => {
+    try {
+      await ledgerColl.insertOne({ ...entry, createdAt: new Date() });
+      return true;
+    } catch (err) {
+      if (err.code === 11000) return false;
+      throw err;
+    }
+  };
+
+  // credit the owning chef once the order is both paid and delivered
+  const creditChefForOrder = async (order) => {
+    if (!order?.chefEmail || order.totalCents === undefined) return false;
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus))
+      return false;
+    if (order.orderStatus !== "delivered") return false;
+
+    const grossCents = order.totalCents - (order.refundedCents || 0);
+    if (grossCents <= 0) return false;
+    const commissionCents = Math.round(grossCents * PLATFORM_COMMISSION_RATE);
+    const amountCents = grossCents - commissionCents;
+
+    return addLedgerEntry({
+      entryKey: `order:${order._id}`,
+      chefEmail: order.chefEmail,
+      type: "credit",
+      orderId: order._id.toString(),
+      grossCents,
+      commissionCents,
+      commissionRate: PLATFORM_COMMISSION_RATE,
+      amountCents,
+      amount: fromCents(amountCents),
+    });
+  };
+
+  // ledger balance and what is already held by an open payout request
+  const getChefBalance = async (chefEmail) => {
+    const [totals] = await ledgerColl
+      .aggregate([
+        { $match: { chefEmail } },
+        {
+          $group: {
+            _id: null,
+            credits: {
+              $sum: {
+                $cond: [{ $eq: ["$type", "credit"] }, "$amountCents", 0],
+              },
+            },
+            debits: {
+              $sum: {
+                $cond: [{ $eq: ["$type", "debit"] }, "$amountCents", 0],
+              },
+            },
+          },
+        },
+      ])
+      .toArray();
+
+    const pending = await payoutRequestsColl.findOne({
+      chefEmail,
+      status: "pending",
+    });
+
+    const creditCents = totals?.credits || 0;
+    const debitCents = totals?.debits || 0;
+    const balanceCents = creditCents - debitCents;
+    const pendingCents = pending?.amountCents || 0;
+
+    return {
+      totalEarned: fromCents(creditCents),
+      totalPaidOut: fromCents(debitCents),
+      balance: fromCents(balanceCents),
+      pendingPayout: fromCents(pendingCents),
+      available: fromCents(balanceCents - pendingCents),
+      availableCents: balanceCents - pendingCents,
+    };
+  };
+
+  // refund all (amountCents omitted) or part of a paid order through stripe
+  // and record it on the payment + order; errors carry an http status
+  const refundOrder = async ({
+    order,
+    amountCents,
+    reason,
+    requestedBy,
+    ip,
+  }) => {
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus))
+      throw httpError(409, "Order has no payment to refund");
+
+    const orderId = order._id.toString();
+    const payment = await paymentCollection.findOne({ orderId });
+    const paymentIntentId = order.paymentIntentId || payment?.paymentIntentId;
+    if (!paymentIntentId)
+      throw httpError(409, "No payment intent for this order");
+
+    const paidCents = payment?.amountCents ?? order.totalCents;
+    const refundedCents = Math.max(
+      order.refundedCents || 0,
+      payment?.amountRefundedCents || 0
+    );
+    const refundableCents = paidCents - refundedCents;
+    const refundCents = amountCents ?? refundableCents;
+
+    if (!Number.isInteger(refundCents) || refundCents <= 0)
+      throw httpError(400, "Invalid refund amount");
+    if (refundCents > refundableCents)
+      throw httpError(
+        400,
+        `At most ${fromCents(refundableCents)} can be refunded`
+      );
+
+    // same order + same prior total + same amount = same stripe refund
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: paymentIntentId,
+        amount: refundCents,
+        metadata: { orderId, requestedBy },
+      },
+      { idempotencyKey: `refund:${orderId}:${refundedCents}:${refundCents}` }
+    );
+
+    const totalRefundedCents = refundedCents + refundCents;
+    const status =
+      totalRefundedCents >= paidCents ? "refunded" : "partially_refunded";
+    const record = {
+      refundId: refund.id,
+      amountCents: refundCents,
+      amount: fromCents(refundCents),
+      reason,
+      requestedBy,
+      stripeStatus: refund.status,
+      createdAt: new Date(),
+    };
+
+    await paymentCollection.updateOne(
+      { orderId },
+      {
+        $set: { status, amountRefunded: fromCents(totalRefundedCents) },
+        $max: { amountRefundedCents: totalRefundedCents },
+        $push: { refunds: record },
+        $setOnInsert: { orderId, time: new Date() },
+      },
+      { upsert: true }
+    );
+    const updated = await ordersCollection.findOneAndUpdate(
+      { _id: order._id },
+      {
+        $set: { paymentStatus: status },
+        $max: { refundedCents: totalRefundedCents },
+      },
+      { returnDocument: "after" }
+    );
+    publishOrderEvent("order.payment", updated);
+    await debitChefForRefund({
+      order,
+      refundId: refund.id,
+      refundCents,
+      totalRefundedCents,
+    });
+
+    await recordAudit({
+      actor: requestedBy,
+      ip,
+      action: "payment.refund",
+      target: { type: "order", id: orderId },
+      before: { paymentStatus: order.paymentStatus, refundedCents },
+      after: {
+        paymentStatus: status,
+        refundedCents: totalRefundedCents,
+        refund: record,
+      },
+    });
+
+    return { refund: record, order: updated };
+  };
+
+  // chef already credited for this order → take back their share of a
+  // refund. keyed by the stripe refund id, so a refund made here and the
+  // charge.refunded webhook reporting it only debit once. never takes back
+  // more than the share of what was refunded after the credit (earlier
+  // refunds were already left out of it)
+  const debitChefForRefund = async ({
+    order,
+    refundId,
+    refundCents,
+    totalRefundedCents,
+  }) => {
+    const orderId = order._id.toString();
+    const credit = await ledgerColl.findOne({ entryKey: `order:${orderId}` });
+    if (!credit) return false;
+
+    const debits = await ledgerColl
+      .find({ orderId, type: "debit" }, { projection: { amountCents: 1 } })
+      .toArray();
+    const debitedCents = debits.reduce((sum, d) => sum + d.amountCents, 0);
+    const refundedSinceCredit =
+      totalRefundedCents - (order.totalCents - credit.grossCents);
+    const owedCents = Math.round(
+      (credit.amountCents * refundedSinceCredit) / credit.grossCents
+    );
+    const debitCents = Math.min(
+      Math.round((credit.amountCents * refundCents) / credit.grossCents),
+      owedCents - debitedCents
+    );
+    if (debitCents <= 0) return false;
+
+    return addLedgerEntry({
+      entryKey: `refund:${refundId}`,
+      chefEmail: credit.chefEmail,
+      type: "debit",
+      orderId,
+      refundId,
+      amountCents: debitCents,
+      amount: fromCents(debitCents),
+    });
+  };
+
+  // REFUND ORDER (owning chef or admin), body: { amount?, reason }
+  // amount omitted = refund whatever is left
+  app.post("/orders/:id/refund", verifyJWT, async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ message: "Invalid order id" });
+      }
+
+      const order = await ordersCollection.findOne({
+        _id: new ObjectId(id),
+      });
+      if (!order) return res.status(404).send({ message: "Order not found" });
+
+      const user = await userColl.findOne({ email: req.tokenEmail });
+      const roles = getOrderActorRoles(order, user);
+      if (!roles.includes("admin") && !roles.includes("chef")) {
+        return res.status(403).send({ message: "Forbidden!" });
+      }
+
+      const { amount, reason } = req.body || {};
+      const result = await refundOrder({
+        order,
+        amountCents: amount === undefined ? undefined : toCents(amount),
+        reason,
+        requestedBy: req.tokenEmail,
+        ip: getClientIp(req),
+      });
+
+      res.send({ success: true, ...result });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).send({ message: err.message });
+      }
+      console.error("/orders/:id/refund error:", err);
+      res.status(500).send({ message: "Refund failed" });
+    }
+  });
+
+  // move an order along the lifecycle; the filter on the current status
+  // makes concurrent changes lose instead of overwrite. null = lost race
+  const changeOrderStatus = async ({
+    order,
+    to,
+    actor,
+    actorRole,
+    note,
+    ip,
+  }) => {
+    const entry = {
+      from: order.orderStatus,
+      to,
+      actor,
+      actorRole,
+      at: new Date(),
+    };
+    if (note) entry.note = note;
+
+    const updated = await ordersCollection.findOneAndUpdate(
+      { _id: order._id, orderStatus: order.orderStatus },
+      {
+        $set: { orderStatus: to, updatedAt: entry.at },
+        $push: { statusHistory: entry },
+      },
+      { returnDocument: "after" }
+    );
+
+    if (!updated) return null;
+
+    if (["cancelled", "rejected"].includes(to)) {
+      await releaseOrderCapacity(updated);
+      await releasePromo(updated);
+      await countMealOrders(updated, -1);
+    }
+    if (to === "delivered") {
+      await userColl.updateOne(
+        { email: updated.chefEmail },
+        { $inc: { deliveredOrders: 1 } }
+      );
+    }
+
+    await recordAudit({
+      actor,
+      ip,
+      action: "order.status",
+      target: { type: "order", id: order._id.toString() },
+      before: { orderStatus: order.orderStatus },
+      after: { orderStatus: to, actorRole, note: note || null },
+    });
+
+    publishOrderEvent(
+      to === "cancelled" ? "order.cancelled" : "order.status",
+      updated
+    );
+    return updated;
+  };
+
+  // UPDATE ORDER STATUS (see ORDER_TRANSITIONS)
+  app.patch("/orders/:id", verifyJWT, async (req, res) => {
+    try {
+      const id = req.params.id;
+      const { orderStatus, note } = req.body || {};
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ message: "Invalid order id" });
+      }
+      if (!Object.hasOwn(ORDER_TRANSITIONS, orderStatus)) {
+        return res.status(400).send({ message: "Unknown order status" });
+      }
+
+      const order = await ordersCollection.findOne({
+        _id: new ObjectId(id),
+      });
+      if (!order) return res.status(404).send({ message: "Order not found" });
+
+      const user = await userColl.findOne({ email: req.tokenEmail });
+      const actorRoles = getOrderActorRoles(order, user);
+      if (actorRoles.length === 0) {
+        return res.status(403).send({ message: "Forbidden!" });
+      }
+
+      const nextStatuses = Object.hasOwn(ORDER_TRANSITIONS, order.orderStatus)
+        ? ORDER_TRANSITIONS[order.orderStatus]
+        : {};
+      if (!Object.hasOwn(nextStatuses, orderStatus)) {
+        return res.status(409).send({
+          message: `Cannot change order from ${order.orderStatus} to ${orderStatus}`,
+          orderStatus: order.orderStatus,
+        });
+      }
+
+      const actorRole = actorRoles.find((role) =>
+        nextStatuses[orderStatus].includes(role)
+      );
+      if (!actorRole) {
+        return res.status(403).send({
+          message: `You are not allowed to mark this order ${orderStatus}`,
+        });
+      }
+
+      const updated = await changeOrderStatus({
+        order,
+        to: orderStatus,
+        actor: req.tokenEmail,
+        actorRole,
+        note,
+        ip: getClientIp(req),
+      });
+      if (!updated) {
+        return res
+          .status(409)
+          .send({ message: "Order status changed, please refresh" });
+      }
+
+      await creditChefForOrder(updated);
+
+      // tell the other side of the order
+      const notifyEmail =
+        actorRole === "customer" ? updated.chefEmail : updated.userEmail;
+      await notify(notifyEmail, "order_status", {
+        title: "Order updated",
+        message: `Order #${id.slice(-6)} is now ${orderStatus}.`,
+        data: { orderId: id, from: order.orderStatus, to: orderStatus },
+      });
+
+      // cancelling / rejecting a paid order refunds it unless { refund: false }
+      let refund;
+      if (
+        ["cancelled", "rejected"].includes(orderStatus) &&
+        REFUNDABLE_PAYMENT_STATUSES.includes(updated.paymentStatus) &&
+        req.body?.refund !== false
+      ) {
+        try {
+          const result = await refundOrder({
+            order: updated,
+            reason: `order ${orderStatus}`,
+            requestedBy: req.tokenEmail,
+            ip: getClientIp(req),
+          });
+          return res.send({ success: true, ...result });
+        } catch (err) {
+          console.error("auto refund error:", err);
+          refund = { error: err.message };
+        }
+      }
+
+      res.send({ success: true, order: updated, refund });
+    } catch (error) {
+      console.error("/orders/:id PATCH error:", error);
+      res.status(500).send({ message: "Server Error" });
+    }
+  });
+
+  // SUSPENSIONS
+  // flagging cascades: chef meals get hidden, open orders the user is part
+  // of are cancelled (pending / accepted, refunded if paid) or flagged
+  const OPEN_ORDER_STATUSES = [
+    "pending",
+    "accepted",
+    "cooking",
+    "out-for-delivery",
+  ];
+
+  const applySuspensionCascade = async (user, { by, reason, ip }) => {
+    const summary = { mealsHidden: 0, ordersCancelled: 0, ordersFlagged: 0 };
+
+    if (user.role === "chef") {
+      const hidden = await mealsColl.updateMany(
+        { chefEmail: user.email, hidden: { $ne: true } },
+        { $set: { hidden: true, hiddenReason: "chef_suspended" } }
+      );
+      summary.mealsHidden = hidden.modifiedCount;
+    }
+
+    const openOrders = await ordersCollection
+      .find({
+        $or: [{ chefEmail: user.email }, { userEmail: user.email }],
+        orderStatus: { $in: OPEN_ORDER_STATUSES },
+      })
+      .toArray();
+
+    for (const order of openOrders) {
+      if (!ORDER_TRANSITIONS[order.orderStatus].cancelled) {
+        await ordersCollection.updateOne(
+          { _id: order._id },
+          {
+            $set: {
+              flagged: true,
+              flagReason: `account suspended: ${user.email}`,
+            },
+          }
+        );
+        summary.ordersFlagged++;
+        continue;
+      }
+
+      const cancelled = await changeOrderStatus({
+        order,
+        to: "cancelled",
+        actor: by,
+        actorRole: "admin",
+        note: `account suspended: ${reason}`,
+        ip,
+      });
+      if (!cancelled) continue;
+      summary.ordersCancelled++;
+
+      if (REFUNDABLE_PAYMENT_STATUSES.includes(cancelled.paymentStatus)) {
+        await refundOrder({
+          order: cancelled,
+          reason: "account suspended",
+          requestedBy: by,
+        }).catch((err) => console.error("suspension refund error:", err));
+      }
+      const otherParty =
+        order.userEmail === user.email ? order.chefEmail : order.userEmail;
+      await notify(otherParty, "order_status", {
+        title: "Order cancelled",
+        message: `Order #${order._id.toString().slice(-6)} was cancelled.`,
+        data: { orderId: order._id.toString(), to: "cancelled" },
+      });
+    }
+
+    return summary;
+  };
+
+  // back to active; meals hidden by the suspension come back
+  const liftSuspension = async (user, by) => {
+    await userColl.updateOne(
+      { _id: user._id, status: "fraud" },
+      {
+        $set: { status: "active" },
+        $unset: { suspension: "" },
+        $push: {
+          suspensionHistory: {
+            action: "lifted",
+            by,
+            at: new Date(),
+            previous: user.suspension || null,
+          },
+        },
+      }
+    );
+    await mealsColl.updateMany(
+      { chefEmail: user.email, hiddenReason: "chef_suspended" },
+      { $set: { hidden: false }, $unset: { hiddenReason: "" } }
+    );
+  };
+
+  const liftExpiredSuspensions = async () => {
+    const expired = await userColl
+      .find({ status: "fraud", "suspension.until": { $lte: new Date() } })
+      .toArray();
+    for (const user of expired) await liftSuspension(user, "system");
+  };
+
+  // make fraud / suspend (Admin only), body: { reason, expiresAt? }
+  app.patch(
+    "/users/make-fraud/:email",
+    verifyJWT,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const email = req.params.email;
+        const { reason, expiresAt } = req.body || {};
+
+        if (!reason?.trim())
+          return res.status(400).send({ message: "reason required" });
+        const until = expiresAt ? new Date(expiresAt) : null;
+        if (until && (isNaN(until) || until <= new Date()))
+          return res.status(400).send({ message: "Invalid expiresAt" });
+
+        const user = await userColl.findOne({ email });
+        if (!user) return res.status(404).send({ message: "User not found" });
+        if (user.role === "admin")
+          return res.status(400).send({ message: "Admins can't be suspended" });
+
+        const suspension = {
+          reason: reason.trim(),
+          until,
+          by: req.tokenEmail,
+          at: new Date(),
+        };
+        const result = await userColl.updateOne(
+          { email },
+          {
+            $set: { status: "fraud", suspension },
+            $push: {
+              suspensionHistory: { action: "suspended", ...suspension },
+            },
+          }
+        );
+
+        await revokeSessions(email);
+
+        const cascade = await applySuspensionCascade(user, {
+          by: req.tokenEmail,
+          reason: suspension.reason,
+          ip: getClientIp(req),
+        });
+
+        await auditReq(req, {
+          action: "user.suspend",
+          target: { type: "user", id: email },
+          before: {
+            status: user.status,
+            suspension: user.suspension || null,
+          },
+          after: { status: "fraud", suspension, cascade },
+        });
+
+        res.send({ success: true, result, cascade });
+      } catch (err) {
+        console.error("/users/make-fraud error:", err);
+        res.status(500).send({ message: "Failed to suspend user" });
+      }
+    }
+  );
+
+  // lift suspension (Admin only)
+  app.patch(
+    "/users/restore/:email",
+    verifyJWT,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const user = await userColl.findOne({ email: req.params.email });
+        if (!user) return res.status(404).send({ message: "User not found" });
+        if (user.status !== "fraud")
+          return res.status(409).send({ message: "User is not suspended" });
+
+        await liftSuspension(user, req.tokenEmail);
+
+        await auditReq(req, {
+          action: "user.restore",
+          target: { type: "user", id: user.email },
+          before: {
+            status: user.status,
+            suspension: user.suspension || null,
+          },
+          after: { status: "active" },
+        });
+
+        res.send({ success: true });
+      } catch (err) {
+        console.error("/users/restore error:", err);
+        res.status(500).send({ message: "Failed to restore user" });
+      }
+    }
+  );
+
+  // FLAGGED USERS (Admin only), suspensions that ran out are lifted first
+  // ?cursor= &limit=
+  app.get("/admin/flagged-users", verifyJWT, verifyAdmin, async (req, res) => {
+    try {
+      await liftExpiredSuspensions();
+
+      const page = await paginate(userColl, {
+        filter: { status: "fraud" },
+        sortField: "suspension.at",
+        projection: {
+          email: 1,
+          name: 1,
+          role: 1,
+          chefId: 1,
+          status: 1,
+          suspension: 1,
+          suspensionHistory: 1,
+        },
+        ...getListParams(req),
+      });
+      page.items = page.items.map((user) => ({
+        ...user,
+        suspended: isSuspended(user),
+      }));
+      res.send(page);
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/admin/flagged-users error:", err);
+      res.status(500).send({ message: "Failed to fetch flagged users" });
+    }
+  });
+
+  // PUBLIC CHEF PROFILES
+  // chefs are users with role "chef", looked up by chefId; only
+  // PUBLIC_CHEF_FIELDS leave the server. suspended chefs are not listed
+  const publicChefFilter = { role: "chef", status: { $ne: "fraud" } };
+
+  // stats are missing until a chef's first review / delivery
+  const toPublicChef = (chef) => ({
+    ...chef,
+    avgRating: chef.avgRating ?? 0,
+    totalReviews: chef.totalReviews ?? 0,
+    deliveredOrders: chef.deliveredOrders ?? 0,
+    followersCount: chef.followersCount ?? 0,
+  });
+
+  const findPublicChef = (chefId, projection = PUBLIC_CHEF_FIELDS) =>
+    userColl.findOne(
+      { ...publicChefFilter, chefId: String(chefId) },
+      { projection: { ...projection, email: 1 } }
+    );
+
+  // LIST CHEFS (public) ?sortBy=rating|orders|newest &cursor= &limit=
+  app.get("/chefs", async (req, res) => {
+    try {
+      const sortBy = req.query.sortBy || "rating";
+      if (!Object.hasOwn(CHEF_SORTS, sortBy))
+        return res.status(400).send({ message: "Invalid sortBy" });
+      const sortField = CHEF_SORTS[sortBy];
+
+      const page = await paginate(userColl, {
+        filter: publicChefFilter,
+        sortField,
+        projection: PUBLIC_CHEF_FIELDS,
+        ...getListParams(req),
+      });
+      res.send({ ...page, items: page.items.map(toPublicChef) });
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/chefs GET error:", err);
+      res.status(500).send({ message: "Failed to fetch chefs" });
+    }
+  });
+
+  // CHEFS I FOLLOW (Protected) ?cursor= &limit=
+  app.get("/chefs/following", verifyJWT, async (req, res) => {
+    try {
+      const page = await paginate(followsColl, {
+        filter: { userEmail: req.tokenEmail },
+        sortField: "followedAt",
+        ...getListParams(req),
+      });
+      const chefs = await userColl
+        .find(
+          {
+            ...publicChefFilter,
+            email: { $in: page.items.map((f) => f.chefEmail) },
+          },
+          { projection: { ...PUBLIC_CHEF_FIELDS, email: 1 } }
+        )
+        .toArray();
+
+      res.send({
+        ...page,
+        items: page.items.map((follow) => {
+          const chef = chefs.find((c) => c.email === follow.chefEmail);
+          const { email, ...profile } = chef || {};
+          return {
+            _id: follow._id,
+            chefId: follow.chefId,
+            followedAt: follow.followedAt,
+            chef: chef ? toPublicChef(profile) : null,
+          };
+        }),
+      });
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/chefs/following error:", err);
+      res.status(500).send({ message: "Failed to fetch followed chefs" });
+    }
+  });
+
+  // CHEF PROFILE (public): bio, stats and their visible meals
+  app.get("/chefs/:chefId", async (req, res) => {
+    try {
+      const chef = await findPublicChef(req.params.chefId);
+      if (!chef) return res.status(404).send({ message: "Chef not found" });
+
+      const { email, ...profile } = chef;
+      const meals = await mealsColl
+        .find(
+          { chefEmail: email, hidden: { $ne: true } },
+          { projection: PUBLIC_MEAL_PROJECTION }
+        )
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .toArray();
+
+      res.send({ ...toPublicChef(profile), meals });
+    } catch (err) {
+      console.error("/chefs/:chefId error:", err);
+      res.status(500).send({ message: "Failed to fetch chef" });
+    }
+  });
+
+  // FOLLOW A CHEF (Protected)
+  app.post(
+    "/chefs/:chefId/follow",
+    verifyJWT,
+    rateLimit("follows"),
+    async (req, res) => {
+      try {
+        const chef = await findPublicChef(req.params.chefId, { chefId: 1 });
+        if (!chef) return res.status(404).send({ message: "Chef not found" });
+        if (chef.email === req.tokenEmail)
+          return res.status(400).send({ message: "You can't follow yourself" });
+
+        try {
+          await followsColl.insertOne({
+            userEmail: req.tokenEmail,
+            chefEmail: chef.email,
+            chefId: chef.chefId,
+            followedAt: new Date(),
+          });
+        } catch (err) {
+          if (err.code === 11000)
+            return res.send({ success: true, following: true, exists: true });
+          throw err;
+        }
+        await userColl.updateOne(
+          { _id: chef._id },
+          { $inc: { followersCount: 1 } }
+        );
+
+        res.send({ success: true, following: true });
+      } catch (err) {
+        console.error("/chefs/:chefId/follow error:", err);
+        res.status(500).send({ message: "Failed to follow chef" });
+      }
+    }
+  );
+
+  // UNFOLLOW (Protected), works for chefs that are no longer listed too
+  app.delete("/chefs/:chefId/follow", verifyJWT, async (req, res) => {
+    try {
+      const follow = await followsColl.findOneAndDelete({
+        userEmail: req.tokenEmail,
+        chefId: String(req.params.chefId),
+      });
+      if (follow) {
+        await userColl.updateOne(
+          { email: follow.chefEmail, followersCount: { $gt: 0 } },
+          { $inc: { followersCount: -1 } }
+        );
+      }
+      res.send({ success: true, following: false });
+    } catch (err) {
+      console.error("/chefs/:chefId/follow DELETE error:", err);
+      res.status(500).send({ message: "Failed to unfollow chef" });
+    }
+  });
+
+  // FEED: newest meals from followed chefs (Protected) ?cursor= &limit=
+  app.get("/feed", verifyJWT, async (req, res) => {
+    try {
+      const follows = await followsColl
+        .find({ userEmail: req.tokenEmail }, { projection: { chefEmail: 1 } })
+        .toArray();
+
+      const page = await paginate(mealsColl, {
+        filter: {
+          chefEmail: { $in: follows.map((f) => f.chefEmail) },
+          hidden: { $ne: true },
+        },
+        sortField: "createdAt",
+        projection: PUBLIC_MEAL_PROJECTION,
+        ...getListParams(req),
+      });
+      res.send(page);
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/feed error:", err);
+      res.status(500).send({ message: "Failed to fetch feed" });
+    }
+  });
+
+  // GET all meals for this chef
+  // ?cursor= &limit=
+  app.get("/meals/chef/:email", verifyJWT, verifyChef, async (req, res) => {
+    try {
+      const email = req.params.email;
+      if (!isOwnerOrAdmin(req, email))
+        return res.status(403).send({ message: "Forbidden!" });
+
+      const page = await paginate(mealsColl, {
+        filter: { chefEmail: email },
+        sortField: "createdAt",
+        ...getListParams(req),
+      });
+      res.send(page);
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/meals/chef/:email error:", err);
+      res.status(500).send({ message: "Failed to fetch meals" });
+    }
+  });
+
+  // DELETE meal (owner or admin)
+  app.delete(
+    "/meals/:id",
+    verifyJWT,
+    verifyChef,
+    verifyMealOwner,
+    async (req, res) => {
+      const result = await mealsColl.deleteOne({ _id: req.meal._id });
+      await removeImage(req.meal.imageUpload);
+
+      await auditReq(req, {
+        action: "meal.delete",
+        target: { type: "meal", id: req.meal._id.toString() },
+        before: req.meal,
+      });
+      res.send(result);
+    }
+  );
+
+  // PATCH update meal (owner or admin, allow-listed fields only)
+  app.patch(
+    "/meals/:id",
+    verifyJWT,
+    verifyChef,
+    verifyMealOwner,
+    async (req, res) => {
+      const { fields, rejected } = pickMealFields(req.body);
+      if (rejected.length) {
+        return res
+          .status(400)
+          .send({ message: "Fields not allowed", fields: rejected });
+      }
+      if (Object.keys(fields).length === 0) {
+        return res.status(400).send({ message: "Nothing to update" });
+      }
+
+      const updateDoc = {
+        $set: { ...fields, updatedAt: new Date() },
+      };
+      // a new foodImage url replaces the uploaded one
+      const replacedUpload =
+        "foodImage" in fields && fields.foodImage !== req.meal.foodImage
+          ? req.meal.imageUpload
+          : null;
+      if (replacedUpload) updateDoc.$unset = { imageUpload: "" };
+
+      const result = await mealsColl.updateOne(
+        { _id: req.meal._id },
+        updateDoc
+      );
+      await removeImage(replacedUpload);
+
+      await auditReq(req, {
+        action: "meal.update",
+        target: { type: "meal", id: req.meal._id.toString() },
+        before: Object.fromEntries(
+          Object.keys(fields).map((key) => [key, req.meal[key] ?? null])
+        ),
+        after: fields,
+      });
+
+      res.send(result);
+    }
+  );
+
+  // UPLOAD MEAL IMAGE (owner or admin, multipart "image")
+  // foodImage becomes the large size, imageUpload.sizes has all of them
+  app.post(
+    "/meals/:id/image",
+    verifyJWT,
+    verifyChef,
+    verifyMealOwner,
+    rateLimit("uploads"),
+    receiveImage,
+    async (req, res) => {
+      try {
+        const upload = await storeImage(req.file, `meals/${req.meal._id}`);
+        await mealsColl.updateOne(
+          { _id: req.meal._id },
+          {
+            $set: {
+              foodImage: upload.sizes.large,
+              imageUpload: upload,
+              updatedAt: new Date(),
+            },
+          }
+        );
+        await removeImage(req.meal.imageUpload);
+
+        await auditReq(req, {
+          action: "meal.image",
+          target: { type: "meal", id: req.meal._id.toString() },
+          before: { foodImage: req.meal.foodImage ?? null },
+          after: { foodImage: upload.sizes.large },
+        });
+
+        res.send({ success: true, foodImage: upload.sizes.large, ...upload });
+      } catch (err) {
+        if (err.status)
+          return res.status(err.status).send({ message: err.message });
+        console.error("/meals/:id/image error:", err);
+        res.status(500).send({ message: "Failed to upload image" });
+      }
+    }
+  );
+
+  // payment releated api
+  app.post(
+    "/create-payment-intent",
+    verifyJWT,
+    rateLimit("payments"),
+    async (req, res) => {
+      const { orderId } = req.body || {};
+
+      if (!ObjectId.isValid(orderId)) {
+        return res.status(400).send({ message: "Invalid order id" });
+      }
+
+      const order = await ordersCollection.findOne({
+        _id: new ObjectId(orderId),
+      });
+      if (!order) return res.status(404).send({ message: "Order not found" });
+      if (order.userEmail !== req.tokenEmail) {
+        return res.status(403).send({ message: "Forbidden!" });
+      }
+      if (order.paymentStatus === "paid") {
+        return res.status(409).send({ message: "Order already paid" });
+      }
+      if (order.paymentStatus !== "pending") {
+        return res
+          .status(409)
+          .send({ message: `Order payment is ${order.paymentStatus}` });
+      }
+      if (!PAYABLE_ORDER_STATUSES.includes(order.orderStatus)) {
+        return res
+          .status(409)
+          .send({ message: `Order is ${order.orderStatus}, it can't be paid` });
+      }
+
+      if (!Array.isArray(order.items) || order.items.length === 0) {
+        return res
+          .status(409)
+          .send({ message: "Order has no priced items, please re-order" });
+      }
+
+      // charge exactly what was stored on the order
+      const lineItems = order.items.map((item) => ({
+        price_data: {
+          currency: order.currency,
+          product_data: { name: item.mealName || "Meal" },
+          unit_amount: toCents(item.unitPrice),
+        },
+        quantity: item.quantity,
+      }));
+      if (order.deliveryFee > 0) {
+        lineItems.push({
+          price_data: {
+            currency: order.currency,
+            product_data: { name: "Delivery fee" },
+            unit_amount: toCents(order.deliveryFee),
+          },
+          quantity: 1,
+        });
+      }
+
+      // one live checkout per order: a payment in an older tab would be
+      // refunded as unmatched. the order lets go of the old session first
+      // so its expiry webhook doesn't release the promo the new one uses
+      if (order.checkoutSessionId) {
+        const previous = await stripe.checkout.sessions.retrieve(
+          order.checkoutSessionId
+        );
+        if (previous.status === "complete") {
+          return res
+            .status(409)
+            .send({ message: "Order payment is being processed" });
+        }
+        if (previous.status === "open") {
+          await ordersCollection.updateOne(
+            { _id: order._id, checkoutSessionId: previous.id },
+            { $unset: { checkoutSessionId: "" } }
+          );
+          try {
+            await stripe.checkout.sessions.expire(previous.id);
+          } catch (err) {
+            // paid meanwhile: the completed webhook must still match
+            await ordersCollection.updateOne(
+              { _id: order._id, checkoutSessionId: { $exists: false } },
+              { $set: { checkoutSessionId: previous.id } }
+            );
+            throw err;
+          }
+        }
+      }
+
+      if (order.promoRedemption?.releasedAt) {
+        try {
+          await reclaimPromo(order);
+        } catch (err) {
+          if (err.status)
+            return res.status(err.status).send({ message: err.message });
+          throw err;
+        }
+      }
+
+      // promo discount → one-off stripe coupon, reused if the user retries
+      let discounts;
+      if (order.discountCents > 0) {
+        let couponId = order.stripeCouponId;
+        if (!couponId) {
+          const coupon = await stripe.coupons.create({
+            amount_off: order.discountCents,
+            currency: order.currency,
+            duration: "once",
+            name: order.discount.code,
+            metadata: { orderId },
+          });
+          couponId = coupon.id;
+          await ordersCollection.updateOne(
+            { _id: order._id },
+            { $set: { stripeCouponId: couponId } }
+          );
+        }
+        discounts = [{ coupon: couponId }];
+      }
+
+      const session = await stripe.checkout.sessions.create({
+        payment_method_types: ["card"],
+        line_items: lineItems,
+        discounts,
+        mode: "payment",
+        // webhook matches the order by this metadata
+        client_reference_id: orderId,
+        metadata: { orderId },
+        payment_intent_data: { metadata: { orderId } },
+        success_url: `${process.env.CLIENT_URL}/payment-success/${orderId}?status=paid&session_id={CHECKOUT_SESSION_ID}`,
+
+        cancel_url: `${process.env.CLIENT_URL}/payment-cancel`,
+      });
+
+      await ordersCollection.updateOne(
+        { _id: order._id },
+        { $set: { checkoutSessionId: session.id } }
+      );
+
+      res.send({ paymentUrl: session.url });
+    }
+  );
+
+  // a checkout paid for an order that can't take it (paid through another
+  // session, cancelled meanwhile): the whole charge goes back and is audited
+  const refundUnmatchedCheckout = async (session, orderId) => {
+    const order = await ordersCollection.findOne(
+      { _id: new ObjectId(orderId) },
+      { projection: { userEmail: 1, paymentIntentId: 1, orderStatus: 1 } }
+    );
+    if (!session.payment_intent) return;
+    if (order?.paymentIntentId === session.payment_intent) return;
+
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: session.payment_intent,
+        metadata: { orderId, reason: "unmatched_checkout" },
+      },
+      { idempotencyKey: `unmatched:${session.id}` }
+    );
+
+    await recordAudit({
+      actor: "stripe",
+      action: "payment.unmatched_refund",
+      target: { type: "order", id: orderId },
+      before: { orderStatus: order?.orderStatus || null },
+      after: {
+        sessionId: session.id,
+        paymentIntentId: session.payment_intent,
+        amountCents: session.amount_total,
+        refundId: refund.id,
+      },
+    });
+
+    await notify(order?.userEmail, "payment", {
+      title: "Payment refunded",
+      message: `A payment for order #${orderId.slice(-6)} could not be applied and was refunded.`,
+      data: {
+        orderId,
+        amount: session.amount_total / 100,
+        refundId: refund.id,
+      },
+    });
+  };
+
+  // checkout.session.completed → order paid + payment record
+  const handleCheckoutCompleted = async (session, event) => {
+    const orderId = session.metadata?.orderId || session.client_reference_id;
+    if (!orderId || !ObjectId.isValid(orderId)) return;
+    if (session.payment_status !== "paid") return;
+
+    // only the order's current checkout can pay it, and only while it is
+    // still payable
+    const order = await ordersCollection.findOneAndUpdate(
+      {
+        _id: new ObjectId(orderId),
+        checkoutSessionId: session.id,
+        paymentStatus: "pending",
+        orderStatus: { $in: PAYABLE_ORDER_STATUSES },
+      },
+      {
+        $set: {
+          paymentStatus: "paid",
+          paymentIntentId: session.payment_intent,
+          paidAt: new Date(event.created * 1000),
+        },
+      },
+      { returnDocument: "after" }
+    );
+    if (!order) return refundUnmatchedCheckout(session, orderId);
+
+    await paymentCollection.updateOne(
+      { orderId },
+      {
+        $set: {
+          status: "paid",
+          sessionId: session.id,
+          paymentIntentId: session.payment_intent,
+          amount: session.amount_total / 100,
+          amountCents: session.amount_total,
+          currency: session.currency,
+          customerEmail: session.customer_details?.email || null,
+          paymentInfo: {
+            sessionId: session.id,
+            paymentIntentId: session.payment_intent,
+            amountTotal: session.amount_total,
+            currency: session.currency,
+          },
+        },
+        $setOnInsert: { orderId, time: new Date() },
+        $addToSet: { eventIds: event.id },
+      },
+      { upsert: true }
+    );
+
+    publishOrderEvent("order.payment", order);
+    await creditChefForOrder(order);
+
+    await notify(order?.userEmail, "payment", {
+      title: "Payment received",
+      message: `Payment of ${session.amount_total / 100} ${
+        session.currency?.toUpperCase() || ""
+      } for order #${orderId.slice(-6)} succeeded.`,
+      data: { orderId, amount: session.amount_total / 100 },
+    });
+  };
+
+  // checkout.session.expired → order stays unpaid, session dropped and the
+  // promo use given back until the next checkout
+  const handleCheckoutExpired = async (session, event) => {
+    const orderId = session.metadata?.orderId || session.client_reference_id;
+    if (!orderId || !ObjectId.isValid(orderId)) return;
+
+    const expired = await ordersCollection.findOneAndUpdate(
+      {
+        _id: new ObjectId(orderId),
+        checkoutSessionId: session.id,
+        paymentStatus: { $ne: "paid" },
+      },
+      {
+        $set: { paymentStatus: "pending" },
+        $unset: { checkoutSessionId: "" },
+      }
+    );
+    // a session the order already replaced leaves the payment alone
+    if (!expired) return;
+    await releasePromo(expired);
+
+    await paymentCollection.updateOne(
+      { orderId, status: { $ne: "paid" } },
+      {
+        $set: { status: "expired", sessionId: session.id },
+        $setOnInsert: { orderId, time: new Date() },
+        $addToSet: { eventIds: event.id },
+      },
+      { upsert: true }
+    );
+  };
+
+  // charge.refunded → full or partial refund on order + payment
+  const handleChargeRefunded = async (charge, event) => {
+    if (!charge.payment_intent && !charge.metadata?.orderId) return;
+
+    const payment = await paymentCollection.findOne(
+      charge.payment_intent
+        ? { paymentIntentId: charge.payment_intent }
+        : { orderId: charge.metadata?.orderId }
+    );
+    if (!payment) return;
+
+    const fullyRefunded = charge.amount_refunded >= charge.amount;
+    const status = fullyRefunded ? "refunded" : "partially_refunded";
+
+    await paymentCollection.updateOne(
+      { _id: payment._id },
+      {
+        $set: { status, amountRefunded: charge.amount_refunded / 100 },
+        $max: { amountRefundedCents: charge.amount_refunded },
+        $addToSet: { eventIds: event.id },
+      }
+    );
+
+    if (!ObjectId.isValid(payment.orderId)) return;
+    const order = await ordersCollection.findOneAndUpdate(
+      { _id: new ObjectId(payment.orderId) },
+      {
+        $set: { paymentStatus: status },
+        $max: { refundedCents: charge.amount_refunded },
+      },
+      { returnDocument: "after" }
+    );
+    if (!order) return;
+
+    // dashboard refunds never pass through refundOrder, so the chef's
+    // share is taken back here. newer api versions leave refunds off the
+    // charge, then they are listed
+    const refunds =
+      charge.refunds?.data ??
+      (
+        await stripe.refunds.list({
+          ...(charge.payment_intent
+            ? { payment_intent: charge.payment_intent }
+            : { charge: charge.id }),
+          limit: 100,
+        })
+      ).data;
+    for (const refund of refunds
+      .filter((r) => !["failed", "canceled"].includes(r.status))
+      .sort((a, b) => a.created - b.created)) {
+      await debitChefForRefund({
+        order,
+        refundId: refund.id,
+        refundCents: refund.amount,
+        totalRefundedCents: charge.amount_refunded,
+      });
+    }
+  };
+
+  const stripeEventHandlers = {
+    "checkout.session.completed": handleCheckoutCompleted,
+    "checkout.session.expired": handleCheckoutExpired,
+    "charge.refunded": handleChargeRefunded,
+  };
+
+  // STRIPE WEBHOOK (signature verified, idempotent by event id)
+  app.post(
+    STRIPE_WEBHOOK_PATH,
+    express.raw({ type: "application/json" }),
+    async (req, res) => {
+      let event;
+      try {
+        event = stripe.webhooks.constructEvent(
+          req.body,
+          req.headers["stripe-signature"],
+          process.env.STRIPE_WEBHOOK_SECRET
+        );
+      } catch (err) {
+        console.error("stripe webhook signature error:", err.message);
+        return res.status(400).send({ message: "Invalid signature" });
+      }
+
+      const handler = stripeEventHandlers[event.type];
+      if (!handler) return res.send({ received: true, ignored: true });
+
+      // claim the event id first, stripe retries must not apply twice
+      try {
+        await stripeEventsColl.insertOne({
+          _id: event.id,
+          type: event.type,
+          receivedAt: new Date(),
+        });
+      } catch (err) {
+        if (err.code === 11000) {
+          return res.send({ received: true, duplicate: true });
+        }
+        throw err;
+      }
+
+      try {
+        await handler(event.data.object, event);
+
+        const object = event.data.object;
+        await recordAudit({
+          actor: "stripe",
+          ip: getClientIp(req),
+          action: `payment.${event.type}`,
+          target: {
+            type: "order",
+            id: object.metadata?.orderId || object.client_reference_id || null,
+          },
+          after: {
+            eventId: event.id,
+            objectId: object.id,
+            paymentIntentId: object.payment_intent || null,
+            amount: object.amount_total ?? object.amount_refunded ?? null,
+          },
+        });
+
+        await stripeEventsColl.updateOne(
+          { _id: event.id },
+          { $set: { processedAt: new Date() } }
+        );
+        res.send({ received: true });
+      } catch (err) {
+        // release the claim so stripe's retry can process it
+        await stripeEventsColl.deleteOne({ _id: event.id });
+        console.error("stripe webhook error:", err);
+        res.status(500).send({ message: "Webhook handler failed" });
+      }
+    }
+  );
+
+  // payment is confirmed by the webhook, this only reports the result
+  app.post("/payment-success", verifyJWT, async (req, res) => {
+    const { orderId } = req.body || {};
+
+    if (!ObjectId.isValid(orderId)) {
+      return res.status(400).send({ message: "Invalid order id" });
+    }
+
+    const order = await ordersCollection.findOne({
+      _id: new ObjectId(orderId),
+    });
+    if (!order) return res.status(404).send({ message: "Order not found" });
+    if (order.userEmail !== req.tokenEmail) {
+      return res.status(403).send({ message: "Forbidden!" });
+    }
+
+    res.send({
+      success: order.paymentStatus === "paid",
+      paymentStatus: order.paymentStatus,
+    });
+  });
+
+  // payment of an order, :id is the orderId (same access as the order)
+  app.get("/payments/:id", verifyJWT, async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ message: "Invalid order id" });
+      }
+
+      const order = await ordersCollection.findOne(
+        { _id: new ObjectId(id) },
+        { projection: { userEmail: 1, chefEmail: 1 } }
+      );
+      if (!order) {
+        return res.status(404).send({ message: "Payment not found" });
+      }
+      const user = await userColl.findOne({ email: req.tokenEmail });
+      if (getOrderActorRoles(order, user).length === 0) {
+        return res.status(403).send({ message: "Forbidden!" });
+      }
+
+      // Find by orderId, NOT _id
+      const payment = await paymentCollection.findOne({ orderId: id });
+
+      if (!payment) {
+        return res.status(404).send({ message: "Payment not found" });
+      }
+
+      res.send(payment);
+    } catch (error) {
+      res.status(500).send({ message: "Server error", error });
+    }
+  });
+
+  // GET MY NOTIFICATIONS (Protected) ?unread=true&limit=
+  app.get("/notifications", verifyJWT, async (req, res) => {
+    try {
+      const filter = { userEmail: req.tokenEmail };
+      if (req.query.unread === "true") filter.read = false;
+
+      const page = await paginate(notificationsColl, {
+        filter,
+        sortField: "createdAt",
+        ...getListParams(req),
+      });
+      const unreadCount = await notificationsColl.countDocuments({
+        userEmail: req.tokenEmail,
+        read: false,
+      });
+
+      res.send({ ...page, unreadCount });
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/notifications GET error:", err);
+      res.status(500).send({ message: "Failed to fetch notifications" });
+    }
+  });
+
+  // MARK ALL AS READ (Protected)
+  app.patch("/notifications/read-all", verifyJWT, async (req, res) => {
+    try {
+      const result = await notificationsColl.updateMany(
+        { userEmail: req.tokenEmail, read: false },
+        { $set: { read: true, readAt: new Date() } }
+      );
+      res.send({ success: true, modified: result.modifiedCount });
+    } catch (err) {
+      console.error("/notifications/read-all error:", err);
+      res.status(500).send({ message: "Failed to update notifications" });
+    }
+  });
+
+  // MARK ONE AS READ (Protected, own notifications only)
+  app.patch("/notifications/:id/read", verifyJWT, async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ message: "Invalid notification id" });
+      }
+
+      const result = await notificationsColl.updateOne(
+        { _id: new ObjectId(id), userEmail: req.tokenEmail },
+        { $set: { read: true, readAt: new Date() } }
+      );
+      if (!result.matchedCount) {
+        return res.status(404).send({ message: "Notification not found" });
+      }
+
+      res.send({ success: true });
+    } catch (err) {
+      console.error("/notifications/:id/read error:", err);
+      res.status(500).send({ message: "Failed to update notification" });
+    }
+  });
+
+  // NOTIFICATION PREFERENCES (Protected), all types on by default
+  app.get("/notification-preferences", verifyJWT, async (req, res) => {
+    const user = await userColl.findOne(
+      { email: req.tokenEmail },
+      { projection: { notificationPrefs: 1 } }
+    );
+    const prefs = Object.fromEntries(
+      NOTIFICATION_TYPES.map((type) => [
+        type,
+        user?.notificationPrefs?.[type] !== false,
+      ])
+    );
+    res.send(prefs);
+  });
+
+  // body: { order_status: false, review: true, ... }
+  app.patch("/notification-preferences", verifyJWT, async (req, res) => {
+    const $set = {};
+    for (const [type, enabled] of Object.entries(req.body || {})) {
+      if (!NOTIFICATION_TYPES.includes(type) || typeof enabled !== "boolean")
+        return res.status(400).send({ message: `Invalid preference: ${type}` });
+      $set[`notificationPrefs.${type}`] = enabled;
+    }
+    if (!Object.keys($set).length) {
+      return res.status(400).send({ message: "Nothing to update" });
+    }
+
+    const result = await userColl.updateOne(
+      { email: req.tokenEmail },
+      { $set }
+    );
+    res.send({ success: true, result });
+  });
+
+  // CREATE PROMO CODE (admin: any meals, chef: only their own meals)
+  app.post("/promo-codes", verifyJWT, verifyChef, async (req, res) => {
+    try {
+      const {
+        code,
+        type,
+        value,
+        expiresAt,
+        minOrderValue,
+        maxUses,
+        perUserLimit,
+      } = req.body || {};
+
+      const normalized = String(code || "")
+        .trim()
+        .toUpperCase();
+      if (!/^[A-Z0-9_-]{3,32}$/.test(normalized))
+        return res.status(400).send({ message: "Invalid code" });
+      if (!PROMO_TYPES.includes(type))
+        return res
+          .status(400)
+          .send({ message: "type must be percent or fixed" });
+      const amount = Number(value);
+      if (
+        !Number.isFinite(amount) ||
+        amount <= 0 ||
+        (type === "percent" && amount > 100)
+      )
+        return res.status(400).send({ message: "Invalid value" });
+      const expiry = expiresAt ? new Date(expiresAt) : null;
+      if (expiry && isNaN(expiry))
+        return res.status(400).send({ message: "Invalid expiresAt" });
+      for (const [name, n] of Object.entries({ maxUses, perUserLimit })) {
+        if (n != null && (!Number.isInteger(n) || n < 1))
+          return res.status(400).send({ message: `Invalid ${name}` });
+      }
+
+      const promo = {
+        code: normalized,
+        type,
+        value: amount,
+        expiresAt: expiry,
+        minOrderValue: Number(minOrderValue) || 0,
+        maxUses: maxUses ?? null,
+        perUserLimit: perUserLimit ?? null,
+        usedCount: 0,
+        // chef codes only work on that chef's meals
+        chefEmail: req.user.role === "admin" ? null : req.tokenEmail,
+        createdBy: req.tokenEmail,
+        active: true,
+        createdAt: new Date(),
+      };
+
+      const result = await promoCodesColl.insertOne(promo);
+      res.send({ success: true, result });
+    } catch (err) {
+      if (err.code === 11000)
+        return res.status(409).send({ message: "Code already exists" });
+      console.error("/promo-codes POST error:", err);
+      res.status(500).send({ message: "Failed to create promo code" });
+    }
+  });
+
+  // LIST PROMO CODES (admin: all, chef: their own) ?cursor= &limit=
+  app.get("/promo-codes", verifyJWT, verifyChef, async (req, res) => {
+    try {
+      const filter =
+        req.user.role === "admin" ? {} : { createdBy: req.tokenEmail };
+      const page = await paginate(promoCodesColl, {
+        filter,
+        sortField: "createdAt",
+        ...getListParams(req),
+      });
+      res.send(page);
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/promo-codes GET error:", err);
+      res.status(500).send({ message: "Failed to fetch promo codes" });
+    }
+  });
+
+  // DEACTIVATE PROMO CODE (creator or admin)
+  app.delete("/promo-codes/:id", verifyJWT, verifyChef, async (req, res) => {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id))
+      return res.status(400).send({ message: "Invalid promo id" });
+
+    const promo = await promoCodesColl.findOne({ _id: new ObjectId(id) });
+    if (!promo) return res.status(404).send({ message: "Promo not found" });
+    if (!isOwnerOrAdmin(req, promo.createdBy))
+      return res.status(403).send({ message: "Forbidden!" });
+
+    await promoCodesColl.updateOne(
+      { _id: promo._id },
+      { $set: { active: false } }
+    );
+    res.send({ success: true });
+  });
+
+  // VALIDATE PROMO CODE for a cart before ordering (Protected)
+  // body: { code, items: [{ mealId, quantity }] }
+  app.post("/promo-codes/validate", verifyJWT, async (req, res) => {
+    try {
+      const pricing = await priceOrderItems(req.body?.items);
+      const promo = await findUsablePromo(req.body?.code, {
+        userEmail: req.tokenEmail,
+        chefEmail: pricing.chefEmail,
+        subtotalCents: toCents(pricing.subtotal),
+      });
+      const { items, ...totals } = applyPromo(pricing, promo);
+      res.send({ valid: true, ...totals });
+    } catch (err) {
+      if (err.status)
+        return res
+          .status(err.status)
+          .send({ valid: false, message: err.message });
+      console.error("/promo-codes/validate error:", err);
+      res.status(500).send({ message: "Failed to validate promo code" });
+    }
+  });
+
+  // CHEF EARNINGS: balance + ledger history (chef only)
+  app.get("/chefs/me/earnings", verifyJWT, verifyChef, async (req, res) => {
+    try {
+      const chefEmail = req.tokenEmail;
+      const { availableCents, ...balance } = await getChefBalance(chefEmail);
+
+      const history = await ledgerColl
+        .find({ chefEmail })
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .toArray();
+      const payouts = await payoutRequestsColl
+        .find({ chefEmail })
+        .sort({ requestedAt: -1 })
+        .toArray();
+
+      res.send({
+        ...balance,
+        commissionRate: PLATFORM_COMMISSION_RATE,
+        history,
+        payouts,
+      });
+    } catch (err) {
+      console.error("/chefs/me/earnings error:", err);
+      res.status(500).send({ message: "Failed to load earnings" });
+    }
+  });
+
+  // REQUEST PAYOUT (chef only, one open request at a time)
+  app.post("/payout-requests", verifyJWT, verifyChef, async (req, res) => {
+    try {
+      const chefEmail = req.tokenEmail;
+      const amountCents = toCents(req.body?.amount);
+      if (!Number.isFinite(amountCents) || amountCents <= 0) {
+        return res.status(400).send({ message: "Invalid amount" });
+      }
+      if (amountCents < toCents(MIN_PAYOUT)) {
+        return res
+          .status(400)
+          .send({ message: `Minimum payout is ${MIN_PAYOUT}` });
+      }
+
+      const { availableCents } = await getChefBalance(chefEmail);
+      if (amountCents > availableCents) {
+        return res.status(400).send({
+          message: "Amount exceeds available balance",
+          available: fromCents(availableCents),
+        });
+      }
+
+      const payout = {
+        chefEmail,
+        amountCents,
+        amount: fromCents(amountCents),
+        method: req.body?.method,
+        note: req.body?.note,
+        status: "pending",
+        requestedAt: new Date(),
+      };
+      const result = await payoutRequestsColl.insertOne(payout);
+      res.send({ success: true, result });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).send({
+          message: "You already have a pending payout request.",
+        });
+      }
+      console.error("/payout-requests POST error:", err);
+      res.status(500).send({ message: "Failed to request payout" });
+    }
+  });
+
+  // GET PAYOUT REQUESTS (Admin only) ?status=pending|approved|rejected
+  // &from= &to= (requestedAt) &cursor= &limit=
+  app.get("/payout-requests", verifyJWT, verifyAdmin, async (req, res) => {
+    try {
+      const filter = getDateFilter("requestedAt", req.query);
+      if (req.query.status) filter.status = req.query.status;
+
+      const page = await paginate(payoutRequestsColl, {
+        filter,
+        sortField: "requestedAt",
+        ...getListParams(req),
+      });
+      res.send(page);
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/payout-requests GET error:", err);
+      res.status(500).send({ message: "Failed to fetch payout requests" });
+    }
+  });
+
+  // APPROVE / REJECT PAYOUT (Admin only), approval debits the ledger
+  app.patch(
+    "/payout-requests/:action/:id",
+    verifyJWT,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const { action, id } = req.params;
+        if (action !== "approve" && action !== "reject") {
+          return res.status(404).send({ message: "Not found" });
+        }
+        const status = action === "approve" ? "approved" : "rejected";
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid payout id" });
+        }
+
+        // refunds since the request may have eaten into the balance; the
+        // pending payout is the chef's only one, so it is all that is held
+        if (status === "approved") {
+          const pending = await payoutRequestsColl.findOne({
+            _id: new ObjectId(id),
+            status: "pending",
+          });
+          const { availableCents, balance } = pending
+            ? await getChefBalance(pending.chefEmail)
+            : {};
+          if (availableCents < 0) {
+            return res.status(409).send({
+              message: "Payout exceeds the chef's balance",
+              balance,
+            });
+          }
+        }
+
+        const payout = await payoutRequestsColl.findOneAndUpdate(
+          { _id: new ObjectId(id), status: "pending" },
+          {
+            $set: {
+              status,
+              decidedBy: req.tokenEmail,
+              decidedAt: new Date(),
+              decisionNote: req.body?.note,
+            },
+          },
+          { returnDocument: "after" }
+        );
+        if (!payout) {
+          return res
+            .status(409)
+            .send({ message: "Payout request is not pending" });
+        }
+
+        await auditReq(req, {
+          action: `payout.${action}`,
+          target: { type: "payoutRequest", id },
+          before: { status: "pending" },
+          after: {
+            status,
+            amount: payout.amount,
+            chefEmail: payout.chefEmail,
+          },
+        });
+
+        if (status === "approved") {
+          await addLedgerEntry({
+            entryKey: `payout:${payout._id}`,
+            chefEmail: payout.chefEmail,
+            type: "debit",
+            payoutId: payout._id.toString(),
+            amountCents: payout.amountCents,
+            amount: payout.amount,
+          });
+        }
+
+        res.send({ success: true, payout });
+      } catch (err) {
+        console.error("/payout-requests PATCH error:", err);
+        res.status(500).send({ message: "Failed to update payout request" });
+      }
+    }
+  );
+
+  // AUDIT LOG (Admin only)
+  // ?actor= &action= &targetType= &targetId= &from= &to= &cursor= &limit=
+  app.get("/admin/audit-log", verifyJWT, verifyAdmin, async (req, res) => {
+    try {
+      const { actor, action, targetType, targetId } = req.query;
+
+      const filter = getDateFilter("at", req.query);
+      if (actor) filter.actor = actor;
+      if (action) filter.action = action;
+      if (targetType) filter["target.type"] = targetType;
+      if (targetId) filter["target.id"] = targetId;
+
+      const page = await paginate(auditLogColl, {
+        filter,
+        sortField: "at",
+        ...getListParams(req),
+      });
+      res.send(page);
+    } catch (err) {
+      if (err.status)
+        return res.status(err.status).send({ message: err.message });
+      console.error("/admin/audit-log error:", err);
+      res.status(500).send({ message: "Failed to fetch audit log" });
+    }
+  });
+
+  // ADMIN STATISTICS (Admin only)
+  // ?from=&to= (ISO dates, optional) &interval=day|week|month &tz=
+  app.get("/admin/statistics", verifyJWT, verifyAdmin, async (req, res) => {
+    try {
+      const interval = req.query.interval || "day";
+      if (!STATS_INTERVALS.includes(interval)) {
+        return res.status(400).send({ message: "Invalid interval" });
+      }
+      const timezone = req.query.tz || "UTC";
+      try {
+        Intl.DateTimeFormat(undefined, { timeZone: timezone });
+      } catch {
+        return res.status(400).send({ message: "Invalid timezone" });
+      }
+
+      const range = {};
+      if (req.query.from) range.$gte = new Date(req.query.from);
+      if (req.query.to) range.$lte = new Date(req.query.to);
+      if (Object.values(range).some((d) => isNaN(d))) {
+        return res.status(400).send({ message: "Invalid from/to date" });
+      }
+      const inRange = Object.keys(range).length ? { createdAt: range } : {};
+
+      // stored total; orders from before server pricing fall back to price * qty
+      const orderAmount = {
+        $ifNull: [
+          "$total",
+          {
+            $multiply: [
+              { $ifNull: ["$price", 0] },
+              { $ifNull: ["$quantity", 0] },
+            ],
+          },
+        ],
+      };
+      const refundedAmount = {
+        $divide: [{ $ifNull: ["$refundedCents", 0] }, 100],
+      };
+      // revenue is what was charged minus what went back
+      const netAmount = { $subtract: [orderAmount, refundedAmount] };
+      // share of the charge that was kept, spread over the line items
+      const keptShare = {
+        $cond: [
+          { $gt: [{ $ifNull: ["$totalCents", 0] }, 0] },
+          {
+            $subtract: [
+              1,
+              {
+                $divide: [{ $ifNull: ["$refundedCents", 0] }, "$totalCents"],
+              },
+            ],
+          },
+          1,
+        ],
+      };
+      const charged = {
+        $match: { paymentStatus: { $in: CHARGED_PAYMENT_STATUSES } },
+      };
+      const bucket = {
+        $dateTrunc: { date: "$createdAt", unit: interval, timezone },
+      };
+
+      const [orderStats] = await ordersCollection
+        .aggregate([
+          { $match: inRange },
+          {
+            $facet: {
+              statusDistribution: [
+                { $group: { _id: "$orderStatus", count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+              ],
+              revenue: [
+                charged,
+                {
+                  $group: {
+                    _id: bucket,
+                    revenue: { $sum: netAmount },
+                    refunded: { $sum: refundedAmount },
+                    orders: { $sum: 1 },
+                  },
+                },
+                { $sort: { _id: 1 } },
+              ],
+              chefs: [
+                charged,
+                {
+                  $group: {
+                    _id: "$chefEmail",
+                    revenue: { $sum: netAmount },
+                    orders: { $sum: 1 },
+                  },
+                },
+                { $sort: { revenue: -1 } },
+              ],
+              topMealsByRevenue: [
+                charged,
+                { $addFields: { keptShare } },
+                { $unwind: "$items" },
+                {
+                  $group: {
+                    _id: "$items.mealId",
+                    mealName: { $first: "$items.mealName" },
+                    revenue: {
+                      $sum: { $multiply: ["$items.lineTotal", "$keptShare"] },
+                    },
+                    quantity: { $sum: "$items.quantity" },
+                  },
+                },
+                { $sort: { revenue: -1 } },
+                { $limit: STATS_TOP_LIMIT },
+              ],
+            },
+          },
+        ])
+        .toArray();
+
+      const topMealsByRating = await mealsColl
+        .aggregate([
+          { $match: { totalReviews: { $gt: 0 } } },
+          { $sort: { avgRating: -1, totalReviews: -1 } },
+          { $limit: STATS_TOP_LIMIT },
+          {
+            $project: {
+              foodName: 1,
+              chefEmail: 1,
+              avgRating: 1,
+              totalReviews: 1,
+            },
+          },
+        ])
+        .toArray();
+
+      const signups = await userColl
+        .aggregate([
+          { $match: { createdAt: { $type: "date", ...range } } },
+          { $group: { _id: bucket, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+        ])
+        .toArray();
+
+      const totalUsers = await userColl.countDocuments();
+
+      const round2 = (n) => Math.round(n * 100) / 100;
+      const statusCount = (status) =>
+        orderStats.statusDistribution.find((s) => s._id === status)?.count || 0;
+
+      res.send({
+        range: { from: range.$gte || null, to: range.$lte || null, interval },
+        totalUsers,
+        totalPaymentAmount: round2(
+          orderStats.revenue.reduce((sum, b) => sum + b.revenue, 0)
+        ),
+        totalRefunded: round2(
+          orderStats.revenue.reduce((sum, b) => sum + b.refunded, 0)
+        ),
+        ordersPending: statusCount("pending"),
+        ordersDelivered: statusCount("delivered"),
+        statusDistribution: orderStats.statusDistribution.map((s) => ({
+          status: s._id,
+          count: s.count,
+        })),
+        revenueSeries: orderStats.revenue.map((b) => ({
+          period: b._id,
+          revenue: round2(b.revenue),
+          refunded: round2(b.refunded),
+          orders: b.orders,
+        })),
+        chefs: orderStats.chefs.map((c) => ({
+          chefEmail: c._id,
+          revenue: round2(c.revenue),
+          orders: c.orders,
+        })),
+        topMealsByRevenue: orderStats.topMealsByRevenue.map((m) => ({
+          mealId: m._id,
+          mealName: m.mealName,
+          revenue: round2(m.revenue),
+          quantity: m.quantity,
+        })),
+        topMealsByRating,
+        signups: signups.map((b) => ({ period: b._id, count: b.count })),
+      });
+    } catch (err) {
+      console.error("/admin/statistics error:", err);
+      res.status(500).send({ message: "Failed to load statistics" });
+    }
+  });
+
+  app.get("/", (req, res) => {
+    res.send("Hello from Server..");
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,90 @@
+const fs = require("fs/promises");
+const path = require("path");
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+// IMAGE STORAGE
+// every adapter has the same two calls, keys look like "meals/<id>/<file>":
+//   put(key, body, contentType) → public url
+//   remove(key)                 → resolves even when the key is gone
+
+// files on this machine; createApp serves `dir` at `urlPath`.
+// fine for local dev, not for vercel (its disk is thrown away)
+const createLocalStorage = ({ dir, urlPath = "/uploads", baseUrl = "" }) => ({
+  dir,
+  urlPath,
+  async put(key, body) {
+    const file = path.join(dir, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, body);
+    return `${baseUrl}${urlPath}/${key}`;
+  },
+  async remove(key) {
+    await fs.rm(path.join(dir, key), { force: true });
+  },
+});
+
+// AWS S3 or anything speaking its api (R2, MinIO, Spaces) via `endpoint`
+const createS3Storage = ({
+  bucket,
+  region = "us-east-1",
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+}) => {
+  const s3 = new S3Client({
+    region,
+    endpoint,
+    // most S3-compatible servers only do path-style urls
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const base =
+    publicUrl ||
+    (endpoint
+      ? `${endpoint}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    async put(key, body, contentType) {
+      await s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          // keys are never reused, so the files can be cached forever
+          CacheControl: "public, max-age=31536000, immutable",
+        })
+      );
+      return `${base.replace(/\/$/, "")}/${key}`;
+    },
+    async remove(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+// S3 when S3_BUCKET is set, else local disk under UPLOAD_DIR
+const createStorageFromEnv = (env = process.env) => {
+  if (env.S3_BUCKET) {
+    return createS3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      publicUrl: env.S3_PUBLIC_URL,
+    });
+  }
+  return createLocalStorage({
+    dir: env.UPLOAD_DIR || path.join(__dirname, "uploads"),
+    baseUrl: env.PUBLIC_URL || "",
+  });
+};
+
+module.exports = { createLocalStorage, createS3Storage, createStorageFromEnv };
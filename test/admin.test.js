@@ -0,0 +1,164 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setupTestApp,
+  auth,
+  seedUser,
+  seedMeal,
+  placeOrder,
+} = require("./helpers");
+
+let ctx;
+let meal;
+let orderId;
+before(async () => {
+  ctx = await setupTestApp();
+  const chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  await seedUser(ctx.db, "buyer@test.dev");
+  await seedUser(ctx.db, "admin@test.dev", { role: "admin" });
+  meal = await seedMeal(ctx.db, chef);
+
+  const placed = await placeOrder(ctx.api, "buyer@test.dev", meal, 1);
+  orderId = placed.body.insertedId;
+});
+after(() => ctx.close());
+
+const asAdmin = (req) => req.set(auth("admin@test.dev"));
+
+const suspend = (email, body) =>
+  asAdmin(ctx.api.patch(`/users/make-fraud/${email}`)).send(body);
+
+const restore = (email) =>
+  asAdmin(ctx.api.patch(`/users/restore/${email}`)).send({});
+
+const findMeal = () => ctx.db.collection("meals").findOne({ _id: meal._id });
+
+test("PATCH /users/make-fraud validates the suspension", async () => {
+  const notAdmin = await ctx.api
+    .patch("/users/make-fraud/chef@test.dev")
+    .set(auth("buyer@test.dev"))
+    .send({ reason: "spam" });
+  assert.equal(notAdmin.status, 403);
+
+  assert.equal((await suspend("chef@test.dev", {})).status, 400);
+  const past = await suspend("chef@test.dev", {
+    reason: "spam",
+    expiresAt: "2000-01-01",
+  });
+  assert.equal(past.status, 400);
+  assert.equal(
+    (await suspend("nobody@test.dev", { reason: "spam" })).status,
+    404
+  );
+  assert.equal(
+    (await suspend("admin@test.dev", { reason: "spam" })).status,
+    400
+  );
+});
+
+test("PATCH /users/make-fraud suspends and cascades", async () => {
+  const until = new Date(Date.now() + 7 * 86400000).toISOString();
+  const res = await suspend("chef@test.dev", {
+    reason: "  fake meals ",
+    expiresAt: until,
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.cascade, {
+    mealsHidden: 1,
+    ordersCancelled: 1,
+    ordersFlagged: 0,
+  });
+
+  const chef = await ctx.db
+    .collection("users")
+    .findOne({ email: "chef@test.dev" });
+  assert.equal(chef.status, "fraud");
+  assert.equal(chef.suspension.reason, "fake meals");
+  assert.equal(chef.suspension.until.toISOString(), until);
+
+  const hidden = await findMeal();
+  assert.equal(hidden.hiddenReason, "chef_suspended");
+
+  const order = await ctx.api
+    .get(`/orders/${orderId}`)
+    .set(auth("buyer@test.dev"));
+  assert.equal(order.body.orderStatus, "cancelled");
+});
+
+test("GET /admin/flagged-users lists suspended users", async () => {
+  const notAdmin = await ctx.api
+    .get("/admin/flagged-users")
+    .set(auth("chef@test.dev"));
+  assert.equal(notAdmin.status, 403);
+
+  const res = await asAdmin(ctx.api.get("/admin/flagged-users"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 1);
+  const [flagged] = res.body.items;
+  assert.equal(flagged.email, "chef@test.dev");
+  assert.equal(flagged.suspended, true);
+  assert.equal(flagged.suspensionHistory[0].action, "suspended");
+});
+
+test("PATCH /users/restore lifts the suspension", async () => {
+  assert.equal((await restore("nobody@test.dev")).status, 404);
+  assert.equal((await restore("buyer@test.dev")).status, 409);
+
+  const res = await restore("chef@test.dev");
+  assert.equal(res.status, 200);
+  assert.equal((await restore("chef@test.dev")).status, 409);
+
+  const chef = await ctx.db
+    .collection("users")
+    .findOne({ email: "chef@test.dev" });
+  assert.equal(chef.status, "active");
+  assert.equal(chef.suspension, undefined);
+  assert.equal(chef.suspensionHistory.at(-1).by, "admin@test.dev");
+  assert.equal((await findMeal()).hidden, false);
+
+  const flagged = await asAdmin(ctx.api.get("/admin/flagged-users"));
+  assert.equal(flagged.body.total, 0);
+});
+
+test("GET /admin/audit-log filters privileged actions", async () => {
+  const notAdmin = await ctx.api
+    .get("/admin/audit-log")
+    .set(auth("chef@test.dev"));
+  assert.equal(notAdmin.status, 403);
+
+  const suspended = await asAdmin(
+    ctx.api.get("/admin/audit-log?action=user.suspend")
+  );
+  assert.equal(suspended.status, 200);
+  assert.equal(suspended.body.total, 1);
+  const [entry] = suspended.body.items;
+  assert.equal(entry.actor, "admin@test.dev");
+  assert.deepEqual(entry.target, { type: "user", id: "chef@test.dev" });
+  assert.equal(entry.before.status, "active");
+  assert.equal(entry.after.status, "fraud");
+
+  const forOrder = await asAdmin(
+    ctx.api.get(`/admin/audit-log?targetType=order&targetId=${orderId}`)
+  );
+  assert.deepEqual(
+    forOrder.body.items.map((e) => e.action),
+    ["order.status"]
+  );
+
+  const byAdmin = await asAdmin(
+    ctx.api.get("/admin/audit-log?actor=admin@test.dev&limit=1")
+  );
+  assert.equal(byAdmin.body.items.length, 1);
+  assert.ok(byAdmin.body.nextCursor);
+  // suspend, the cancelled order, restore
+  assert.equal(byAdmin.body.total, 3);
+
+  const future = await asAdmin(ctx.api.get("/admin/audit-log?from=2999-01-01"));
+  assert.equal(future.body.total, 0);
+
+  const badDate = await asAdmin(ctx.api.get("/admin/audit-log?to=someday"));
+  assert.equal(badDate.status, 400);
+});
@@ -0,0 +1,233 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { setupTestApp, auth, seedUser } = require("./helpers");
+
+let ctx;
+before(async () => {
+  ctx = await setupTestApp();
+  await seedUser(ctx.db, "admin@test.dev", { role: "admin" });
+});
+after(() => ctx.close());
+
+// cookie-authenticated writes must come from the client's origin
+const fromClient = { Origin: process.env.CLIENT_URL };
+
+test("POST /users needs a token", async () => {
+  const res = await ctx.api.post("/users").send({ email: "new@test.dev" });
+  assert.equal(res.status, 401);
+});
+
+test("POST /users rejects a token for someone else", async () => {
+  const res = await ctx.api
+    .post("/users")
+    .set(auth("other@test.dev"))
+    .send({ email: "new@test.dev" });
+  assert.equal(res.status, 403);
+});
+
+test("POST /users creates the user with the default role", async () => {
+  const res = await ctx.api
+    .post("/users")
+    .set(auth("new@test.dev"))
+    .send({
+      email: "new@test.dev",
+      name: "New",
+      role: "admin",
+      chefId: "chef-9999",
+      avgRating: 5,
+      followersCount: 100,
+      suspension: { until: null },
+    });
+  assert.equal(res.status, 200);
+
+  const user = await ctx.db
+    .collection("users")
+    .findOne({ email: "new@test.dev" });
+  assert.equal(user.name, "New");
+  assert.equal(user.role, "user");
+  assert.equal(user.status, "active");
+  // server-owned fields are dropped
+  assert.equal(user.chefId, undefined);
+  assert.equal(user.avgRating, undefined);
+  assert.equal(user.followersCount, undefined);
+  assert.equal(user.suspension, undefined);
+
+  const again = await ctx.api
+    .post("/users")
+    .set(auth("new@test.dev"))
+    .send({ email: "new@test.dev" });
+  assert.equal(again.body.message, "User already exists");
+});
+
+test("GET /users/:email only returns your own profile", async () => {
+  const own = await ctx.api
+    .get("/users/new@test.dev")
+    .set(auth("new@test.dev"));
+  assert.equal(own.status, 200);
+  assert.equal(own.body.email, "new@test.dev");
+
+  const other = await ctx.api
+    .get("/users/admin@test.dev")
+    .set(auth("new@test.dev"));
+  assert.equal(other.status, 403);
+});
+
+test("GET /users is admin only and paginated", async () => {
+  const denied = await ctx.api.get("/users").set(auth("new@test.dev"));
+  assert.equal(denied.status, 403);
+
+  const res = await ctx.api.get("/users?limit=1").set(auth("admin@test.dev"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.items.length, 1);
+  assert.equal(res.body.total, 2);
+  assert.ok(res.body.nextCursor);
+});
+
+test("PATCH /users/:email updates your own profile only", async () => {
+  const res = await ctx.api
+    .patch("/users/new@test.dev")
+    .set(auth("new@test.dev"))
+    .send({ name: "Renamed", address: "2 Test Street" });
+  assert.equal(res.status, 200);
+
+  const other = await ctx.api
+    .patch("/users/admin@test.dev")
+    .set(auth("new@test.dev"))
+    .send({ name: "Nope" });
+  assert.equal(other.status, 403);
+});
+
+test("session cookies: login, refresh rotates, logout revokes", async () => {
+  const agent = request.agent(ctx.app);
+
+  const login = await agent
+    .post("/auth/session")
+    .set(fromClient)
+    .set(auth("new@test.dev"));
+  assert.equal(login.status, 200);
+  assert.equal(login.body.role, "user");
+  assert.ok(login.body.accessToken);
+
+  // the cookie alone authenticates
+  const me = await agent.get("/users/new@test.dev");
+  assert.equal(me.status, 200);
+
+  const session = await ctx.db
+    .collection("sessions")
+    .findOne({ email: "new@test.dev" });
+  const refreshed = await agent.post("/auth/refresh").set(fromClient);
+  assert.equal(refreshed.status, 200);
+  const rotated = await ctx.db
+    .collection("sessions")
+    .findOne({ _id: session._id });
+  assert.notEqual(rotated.refreshHash, session.refreshHash);
+  const refreshCookie = refreshed.headers["set-cookie"]
+    .find((cookie) => cookie.startsWith("refresh_token="))
+    .split(";")[0];
+
+  const logout = await agent.post("/auth/logout").set(fromClient);
+  assert.equal(logout.status, 200);
+  const revoked = await ctx.db
+    .collection("sessions")
+    .findOne({ _id: session._id });
+  assert.ok(revoked.revokedAt);
+
+  // the old cookie no longer works either
+  const afterLogout = await ctx.api
+    .post("/auth/refresh")
+    .set(fromClient)
+    .set("Cookie", refreshCookie);
+  assert.equal(afterLogout.status, 401);
+});
+
+test("POST /auth/session rejects a bad firebase token", async () => {
+  const res = await ctx.api
+    .post("/auth/session")
+    .set("Authorization", "Bearer not-a-token");
+  assert.equal(res.status, 401);
+});
+
+test("session access tokens die with their session", async () => {
+  const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+  const login = await ctx.api.post("/auth/session").set(auth("new@test.dev"));
+  const { accessToken } = login.body;
+  const before = await ctx.api
+    .get("/users/new@test.dev")
+    .set(bearer(accessToken));
+  assert.equal(before.status, 200);
+
+  await ctx.api.post("/auth/logout").set(bearer(accessToken));
+  const afterLogout = await ctx.api
+    .get("/users/new@test.dev")
+    .set(bearer(accessToken));
+  assert.equal(afterLogout.status, 401);
+
+  // a demoted admin loses admin routes right away, not in 15 minutes
+  await seedUser(ctx.db, "demoted@test.dev", { role: "admin" });
+  const adminLogin = await ctx.api
+    .post("/auth/session")
+    .set(auth("demoted@test.dev"));
+  const adminToken = adminLogin.body.accessToken;
+  const asAdmin = await ctx.api.get("/users").set(bearer(adminToken));
+  assert.equal(asAdmin.status, 200);
+
+  await ctx.api
+    .patch("/users/revoke-role/demoted@test.dev")
+    .set(auth("admin@test.dev"));
+  const afterDemotion = await ctx.api.get("/users").set(bearer(adminToken));
+  assert.equal(afterDemotion.status, 401);
+});
+
+test("a dead session cookie falls back to the bearer token", async () => {
+  const login = await ctx.api
+    .post("/auth/session")
+    .set(fromClient)
+    .set(auth("new@test.dev"));
+  const accessCookie = login.headers["set-cookie"]
+    .find((cookie) => cookie.startsWith("session="))
+    .split(";")[0];
+  await ctx.db
+    .collection("sessions")
+    .updateMany({ email: "new@test.dev" }, { $set: { revokedAt: new Date() } });
+
+  const cookieOnly = await ctx.api
+    .get("/users/new@test.dev")
+    .set("Cookie", accessCookie);
+  assert.equal(cookieOnly.status, 401);
+  assert.equal(cookieOnly.body.message, "Session expired");
+
+  const withBearer = await ctx.api
+    .get("/users/new@test.dev")
+    .set("Cookie", accessCookie)
+    .set(auth("new@test.dev"));
+  assert.equal(withBearer.status, 200);
+});
+
+test("cookie writes from other origins are blocked", async () => {
+  const agent = request.agent(ctx.app);
+  await agent.post("/auth/session").set(fromClient).set(auth("new@test.dev"));
+
+  const noOrigin = await agent
+    .patch("/users/new@test.dev")
+    .send({ name: "Forged" });
+  assert.equal(noOrigin.status, 403);
+
+  const evil = await agent
+    .patch("/users/new@test.dev")
+    .set("Origin", "https://evil.example")
+    .send({ name: "Forged" });
+  assert.equal(evil.status, 403);
+
+  const viaReferer = await agent
+    .patch("/users/new@test.dev")
+    .set("Referer", `${process.env.CLIENT_URL}/dashboard/profile`)
+    .send({ name: "Mine" });
+  assert.equal(viaReferer.status, 200);
+
+  // reads and bearer-token writes don't need an origin
+  const read = await agent.get("/users/new@test.dev");
+  assert.equal(read.status, 200);
+  assert.equal(read.body.name, "Mine");
+});
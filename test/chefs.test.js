@@ -0,0 +1,165 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestApp, auth, seedUser, seedMeal } = require("./helpers");
+
+let ctx;
+let chef;
+let meals;
+before(async () => {
+  ctx = await setupTestApp();
+  chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  await seedUser(ctx.db, "newchef@test.dev", {
+    role: "chef",
+    chefId: "chef-0002",
+  });
+  await seedUser(ctx.db, "fraud@test.dev", {
+    role: "chef",
+    chefId: "chef-0003",
+    status: "fraud",
+  });
+  await seedUser(ctx.db, "fan@test.dev");
+  meals = [
+    await seedMeal(ctx.db, chef, { foodName: "Biryani" }),
+    await seedMeal(ctx.db, chef, { foodName: "Korma" }),
+    await seedMeal(ctx.db, chef, { foodName: "Secret", hidden: true }),
+  ];
+
+  // reviews need a delivered order of the meal
+  await ctx.db.collection("orders").insertOne({
+    userEmail: "fan@test.dev",
+    chefEmail: chef.email,
+    items: meals.map((m) => ({ mealId: m._id.toString(), quantity: 1 })),
+    orderStatus: "delivered",
+    paymentStatus: "paid",
+    createdAt: new Date(),
+  });
+});
+after(() => ctx.close());
+
+const review = (meal, rating) =>
+  ctx.api
+    .post("/reviews")
+    .set(auth("fan@test.dev"))
+    .send({ foodId: meal._id.toString(), rating });
+
+const follow = (email, chefId) =>
+  ctx.api.post(`/chefs/${chefId}/follow`).set(auth(email));
+
+test("PATCH /users/:email validates the bio", async () => {
+  const long = await ctx.api
+    .patch("/users/chef@test.dev")
+    .set(auth("chef@test.dev"))
+    .send({ bio: "x".repeat(1001) });
+  assert.equal(long.status, 400);
+
+  const res = await ctx.api
+    .patch("/users/chef@test.dev")
+    .set(auth("chef@test.dev"))
+    .send({ bio: "  Home cooked curries  " });
+  assert.equal(res.status, 200);
+
+  const user = await ctx.db
+    .collection("users")
+    .findOne({ email: "chef@test.dev" });
+  assert.equal(user.bio, "Home cooked curries");
+});
+
+test("reviews roll up into the chef's rating", async () => {
+  assert.equal((await review(meals[0], 5)).status, 200);
+  assert.equal((await review(meals[1], 2)).status, 200);
+
+  const user = await ctx.db
+    .collection("users")
+    .findOne({ email: "chef@test.dev" });
+  assert.equal(user.avgRating, 3.5);
+  assert.equal(user.totalReviews, 2);
+});
+
+test("GET /chefs/:chefId shows the public profile and visible meals", async () => {
+  const res = await ctx.api.get("/chefs/chef-0001");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.chefId, "chef-0001");
+  assert.equal(res.body.bio, "Home cooked curries");
+  assert.equal(res.body.avgRating, 3.5);
+  assert.equal(res.body.deliveredOrders, 0);
+  assert.equal(res.body.followersCount, 0);
+  assert.equal(res.body.email, undefined);
+  assert.deepEqual(res.body.meals.map((m) => m.foodName).sort(), [
+    "Biryani",
+    "Korma",
+  ]);
+  assert.equal(res.body.meals[0].chefEmail, undefined);
+});
+
+test("GET /chefs/:chefId hides missing and suspended chefs", async () => {
+  assert.equal((await ctx.api.get("/chefs/nope")).status, 404);
+  assert.equal((await ctx.api.get("/chefs/chef-0003")).status, 404);
+});
+
+test("GET /chefs lists chefs by rating", async () => {
+  const res = await ctx.api.get("/chefs");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 2);
+  assert.deepEqual(
+    res.body.items.map((c) => c.chefId),
+    ["chef-0001", "chef-0002"]
+  );
+  assert.equal(res.body.items[1].avgRating, 0);
+  assert.equal(res.body.items[0].email, undefined);
+
+  const invalid = await ctx.api.get("/chefs?sortBy=email");
+  assert.equal(invalid.status, 400);
+  const inherited = await ctx.api.get("/chefs?sortBy=constructor");
+  assert.equal(inherited.status, 400);
+});
+
+test("POST /chefs/:chefId/follow follows once and counts it", async () => {
+  assert.equal((await follow("fan@test.dev", "nope")).status, 404);
+  assert.equal((await follow("chef@test.dev", "chef-0001")).status, 400);
+
+  const res = await follow("fan@test.dev", "chef-0001");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.following, true);
+
+  const again = await follow("fan@test.dev", "chef-0001");
+  assert.equal(again.body.exists, true);
+
+  const profile = await ctx.api.get("/chefs/chef-0001");
+  assert.equal(profile.body.followersCount, 1);
+});
+
+test("GET /chefs/following lists the chefs you follow", async () => {
+  const res = await ctx.api.get("/chefs/following").set(auth("fan@test.dev"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 1);
+  assert.equal(res.body.items[0].chefId, "chef-0001");
+  assert.equal(res.body.items[0].chef.bio, "Home cooked curries");
+});
+
+test("GET /feed shows visible meals from followed chefs", async () => {
+  const res = await ctx.api.get("/feed").set(auth("fan@test.dev"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 2);
+  assert.ok(res.body.items.every((m) => m.chefEmail === undefined));
+  assert.ok(res.body.items.every((m) => m.chefId === "chef-0001"));
+
+  const empty = await ctx.api.get("/feed").set(auth("chef@test.dev"));
+  assert.equal(empty.body.total, 0);
+});
+
+test("DELETE /chefs/:chefId/follow unfollows", async () => {
+  const res = await ctx.api
+    .delete("/chefs/chef-0001/follow")
+    .set(auth("fan@test.dev"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.following, false);
+
+  const profile = await ctx.api.get("/chefs/chef-0001");
+  assert.equal(profile.body.followersCount, 0);
+
+  const feed = await ctx.api.get("/feed").set(auth("fan@test.dev"));
+  assert.equal(feed.body.total, 0);
+});
@@ -0,0 +1,199 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  setupTestApp,
+  auth,
+  seedUser,
+  seedMeal,
+  placeOrder,
+} = require("./helpers");
+
+let ctx;
+let chef;
+let meal;
+before(async () => {
+  ctx = await setupTestApp();
+  chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  await seedUser(ctx.db, "fan@test.dev");
+  await seedUser(ctx.db, "other@test.dev");
+  await seedUser(ctx.db, "admin@test.dev", { role: "admin" });
+  meal = await seedMeal(ctx.db, chef, { dailyLimit: 5 });
+});
+after(() => ctx.close());
+
+const addFavorite = (email, mealId) =>
+  ctx.api
+    .post("/favorites")
+    .set(auth(email))
+    .send({ mealId: mealId.toString() });
+
+const favoriteCount = async (mealId) =>
+  (await ctx.db.collection("meals").findOne({ _id: mealId })).favoriteCount;
+
+test("POST /favorites only for yourself", async () => {
+  const res = await ctx.api
+    .post("/favorites")
+    .set(auth("fan@test.dev"))
+    .send({ userEmail: "chef@test.dev", mealId: meal._id.toString() });
+  assert.equal(res.status, 403);
+});
+
+test("POST /favorites needs an existing meal", async () => {
+  const invalid = await addFavorite("fan@test.dev", "nope");
+  assert.equal(invalid.status, 400);
+
+  const missing = await addFavorite("fan@test.dev", new ObjectId());
+  assert.equal(missing.status, 404);
+});
+
+test("POST /favorites adds a meal once and counts it", async () => {
+  const res = await addFavorite("fan@test.dev", meal._id);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+
+  const again = await addFavorite("fan@test.dev", meal._id);
+  assert.equal(again.body.exists, true);
+
+  assert.equal(await favoriteCount(meal._id), 1);
+});
+
+test("GET /favorites/:email joins live meal data", async () => {
+  await ctx.db
+    .collection("meals")
+    .updateOne({ _id: meal._id }, { $set: { price: 15 } });
+
+  const res = await ctx.api
+    .get("/favorites/fan@test.dev")
+    .set(auth("fan@test.dev"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 1);
+
+  const [favorite] = res.body.items;
+  assert.equal(favorite.mealId, meal._id.toString());
+  assert.equal(favorite.meal.price, 15);
+  assert.equal(favorite.meal.avgRating, 0);
+  assert.equal(favorite.available, true);
+  assert.equal(favorite.remainingToday, 5);
+});
+
+test("GET /favorites/:email is private to the user and admins", async () => {
+  const other = await ctx.api
+    .get("/favorites/fan@test.dev")
+    .set(auth("other@test.dev"));
+  assert.equal(other.status, 403);
+
+  const admin = await ctx.api
+    .get("/favorites/fan@test.dev")
+    .set(auth("admin@test.dev"));
+  assert.equal(admin.status, 200);
+});
+
+test("hidden meals show as unavailable", async () => {
+  const hidden = await seedMeal(ctx.db, chef, { foodName: "Gone Soon" });
+  await addFavorite("fan@test.dev", hidden._id);
+  await ctx.db
+    .collection("meals")
+    .updateOne({ _id: hidden._id }, { $set: { hidden: true } });
+
+  const res = await ctx.api
+    .get("/favorites/fan@test.dev")
+    .set(auth("fan@test.dev"));
+  const favorite = res.body.items.find(
+    (item) => item.mealId === hidden._id.toString()
+  );
+  assert.equal(favorite.meal, null);
+  assert.equal(favorite.available, false);
+  assert.equal(favorite.mealName, "Gone Soon");
+});
+
+test("DELETE /favorites/:id is owner only", async () => {
+  const favorite = await ctx.db
+    .collection("favorites")
+    .findOne({ userEmail: "fan@test.dev", mealId: meal._id.toString() });
+
+  const anonymous = await ctx.api.delete(`/favorites/${favorite._id}`);
+  assert.equal(anonymous.status, 401);
+
+  const other = await ctx.api
+    .delete(`/favorites/${favorite._id}`)
+    .set(auth("other@test.dev"));
+  assert.equal(other.status, 403);
+
+  const res = await ctx.api
+    .delete(`/favorites/${favorite._id}`)
+    .set(auth("fan@test.dev"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.deletedCount, 1);
+  assert.equal(await favoriteCount(meal._id), 0);
+});
+
+test("GET /meals/popular ranks by favorites and orders", async () => {
+  const favored = await seedMeal(ctx.db, chef, { foodName: "Favored" });
+  const ordered = await seedMeal(ctx.db, chef, { foodName: "Ordered" });
+  await seedMeal(ctx.db, chef, { foodName: "Ignored" });
+
+  await addFavorite("fan@test.dev", favored._id);
+  await addFavorite("other@test.dev", favored._id);
+  await addFavorite("fan@test.dev", ordered._id);
+  await placeOrder(ctx.api, "fan@test.dev", ordered, 1);
+
+  const res = await ctx.api.get("/meals/popular?limit=2");
+  assert.equal(res.status, 200);
+  // ordered: 1 favorite + 1 order (x2) = 3, favored: 2 favorites = 2
+  assert.deepEqual(
+    res.body.meals.map((m) => m.foodName),
+    ["Ordered", "Favored"]
+  );
+  assert.ok(res.body.meals.every((m) => m.chefEmail === undefined));
+});
+
+test("orders from before order counts were stored count towards popularity", async () => {
+  let oldMeal;
+  let deadMeal;
+  const legacy = await setupTestApp({
+    seed: async (db) => {
+      const oldChef = await seedUser(db, "chef@test.dev", {
+        role: "chef",
+        chefId: "chef-0001",
+      });
+      oldMeal = await seedMeal(db, oldChef, { foodName: "Old Favourite" });
+      deadMeal = await seedMeal(db, oldChef, { foodName: "Never Cooked" });
+      await db
+        .collection("meals")
+        .updateMany({}, { $unset: { orderCount: "" } });
+
+      const order = (orderMeal, orderStatus) => ({
+        userEmail: "fan@test.dev",
+        chefEmail: oldChef.email,
+        orderStatus,
+        items: [{ mealId: orderMeal._id.toString(), quantity: 1 }],
+        createdAt: new Date(),
+      });
+      await db
+        .collection("orders")
+        .insertMany([
+          order(oldMeal, "delivered"),
+          order(oldMeal, "pending"),
+          order(deadMeal, "cancelled"),
+        ]);
+    },
+  });
+  try {
+    const orderCount = async (mealId) =>
+      (await legacy.db.collection("meals").findOne({ _id: mealId })).orderCount;
+    assert.equal(await orderCount(oldMeal._id), 2);
+    assert.equal(await orderCount(deadMeal._id), 0);
+
+    const res = await legacy.api.get("/meals/popular");
+    assert.deepEqual(
+      res.body.meals.map((m) => m.foodName),
+      ["Old Favourite"]
+    );
+  } finally {
+    await legacy.close();
+  }
+});
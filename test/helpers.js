@@ -0,0 +1,224 @@
+// shared setup for the integration tests: an in-memory mongo, the app from
+// createApp with a fake token verifier and a stripe stub. nothing leaves
+// the machine once the mongod binary is cached. offline, point
+// MONGOMS_SYSTEM_BINARY at a local mongod or MONGO_URL at a running server.
+process.env.SESSION_JWT_SECRET ||= "test-session-secret";
+process.env.STRIPE_WEBHOOK_SECRET ||= "whsec_test";
+process.env.RATE_LIMIT_DISABLED ||= "true";
+process.env.CLIENT_URL ||= "http://localhost:5173";
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const { MongoClient } = require("mongodb");
+const Stripe = require("stripe");
+const request = require("supertest");
+const { createApp } = require("../app");
+const { createLocalStorage } = require("../storage");
+
+// bearer tokens are "test:<email>"; anything else is rejected
+const verifyToken = async (token) => {
+  if (!String(token).startsWith("test:")) throw new Error("invalid token");
+  return { email: token.slice("test:".length) };
+};
+
+const auth = (email) => ({ Authorization: `Bearer test:${email}` });
+
+// records every call and answers like stripe would. webhooks is the real
+// (offline) signature helper so signed payloads can be built locally
+const createStripeStub = () => {
+  const calls = { sessions: [], expired: [], coupons: [], refunds: [] };
+  const { webhooks } = Stripe("sk_test_offline");
+  // checkout session id → "open" | "complete" | "expired"
+  const sessionStatus = {};
+  const toSession = (id) => ({
+    id,
+    url: `https://checkout.stripe.test/${id}`,
+    status: sessionStatus[id],
+  });
+
+  return {
+    calls,
+    sessionStatus,
+    webhooks,
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          calls.sessions.push(params);
+          const id = `cs_test_${calls.sessions.length}`;
+          sessionStatus[id] = "open";
+          return toSession(id);
+        },
+        retrieve: async (id) => {
+          if (!sessionStatus[id]) throw new Error(`No such session: ${id}`);
+          return toSession(id);
+        },
+        expire: async (id) => {
+          if (sessionStatus[id] !== "open") {
+            throw new Error(`Session ${id} is not open`);
+          }
+          calls.expired.push(id);
+          sessionStatus[id] = "expired";
+          return toSession(id);
+        },
+      },
+    },
+    coupons: {
+      create: async (params) => {
+        calls.coupons.push(params);
+        return { id: `coupon_test_${calls.coupons.length}` };
+      },
+    },
+    refunds: {
+      create: async (params, options) => {
+        calls.refunds.push({ params, options });
+        return {
+          id: `re_test_${calls.refunds.length}`,
+          amount: params.amount,
+          status: "succeeded",
+        };
+      },
+      // the refunds created above for a payment intent
+      list: async ({ payment_intent }) => ({
+        data: calls.refunds
+          .map(({ params }, i) => ({
+            id: `re_test_${i + 1}`,
+            amount: params.amount,
+            payment_intent: params.payment_intent,
+            status: "succeeded",
+            created: i + 1,
+          }))
+          .filter((refund) => refund.payment_intent === payment_intent),
+      }),
+    },
+  };
+};
+
+// stripe event posted the way stripe would, signed with the test secret
+const signedEvent = (stripe, event) => {
+  const payload = JSON.stringify({
+    created: Math.floor(Date.now() / 1000),
+    ...event,
+  });
+  const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET,
+  });
+  return { payload, signature };
+};
+
+// MONGO_URL: an already running server, one database per test file (each
+// file runs in its own process), dropped on close
+const startMongo = async () => {
+  if (process.env.MONGO_URL) {
+    return {
+      uri: process.env.MONGO_URL,
+      dbName: `cook-db-test-${process.pid}`,
+      stop: async () => {},
+    };
+  }
+  const mongo = await MongoMemoryServer.create();
+  return {
+    uri: mongo.getUri(),
+    dbName: "cook-db-test",
+    stop: () => mongo.stop(),
+  };
+};
+
+// seed(db) writes data as older versions left it, before the app builds
+// its indexes
+const setupTestApp = async ({ seed } = {}) => {
+  const mongo = await startMongo();
+  const client = new MongoClient(mongo.uri);
+  await client.connect();
+
+  const db = client.db(mongo.dbName);
+  if (process.env.MONGO_URL) await db.dropDatabase();
+  if (seed) await seed(db);
+  const stripe = createStripeStub();
+  const storage = createLocalStorage({
+    dir: fs.mkdtempSync(path.join(os.tmpdir(), "cook-uploads-")),
+  });
+  const app = createApp({
+    db,
+    stripe,
+    verifyToken,
+    storage,
+    watchOrderChanges: false,
+  });
+  await app.locals.ready;
+
+  return {
+    app,
+    db,
+    stripe,
+    storage,
+    api: request(app),
+    close: async () => {
+      if (process.env.MONGO_URL) await db.dropDatabase();
+      await client.close();
+      await mongo.stop();
+      fs.rmSync(storage.dir, { recursive: true, force: true });
+    },
+  };
+};
+
+// DATA
+
+const seedUser = async (db, email, fields = {}) => {
+  const user = {
+    email,
+    name: email.split("@")[0],
+    role: "user",
+    status: "active",
+    createdAt: new Date(),
+    ...fields,
+  };
+  const { insertedId } = await db.collection("users").insertOne(user);
+  return { ...user, _id: insertedId };
+};
+
+const seedMeal = async (db, chef, fields = {}) => {
+  const meal = {
+    foodName: "Chicken Biryani",
+    price: 12.5,
+    category: "rice",
+    ingredients: ["rice", "chicken"],
+    chefEmail: chef.email,
+    chefId: chef.chefId,
+    chefName: chef.name,
+    avgRating: 0,
+    totalReviews: 0,
+    ratingHistogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+    orderCount: 0,
+    createdAt: new Date(),
+    ...fields,
+  };
+  const { insertedId } = await db.collection("meals").insertOne(meal);
+  return { ...meal, _id: insertedId };
+};
+
+// "YYYY-MM-DD" (UTC) today, a valid deliveryDate
+const today = () => new Date().toISOString().slice(0, 10);
+
+const placeOrder = (api, email, meal, quantity = 1, body = {}) =>
+  api
+    .post("/orders")
+    .set(auth(email))
+    .send({
+      items: [{ mealId: meal._id.toString(), quantity }],
+      deliveryDate: today(),
+      userAddress: "1 Test Street",
+      ...body,
+    });
+
+module.exports = {
+  setupTestApp,
+  auth,
+  signedEvent,
+  seedUser,
+  seedMeal,
+  today,
+  placeOrder,
+};
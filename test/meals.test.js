@@ -0,0 +1,179 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { setupTestApp, auth, seedUser, seedMeal } = require("./helpers");
+
+let ctx;
+let chef;
+let otherChef;
+before(async () => {
+  ctx = await setupTestApp();
+  chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  otherChef = await seedUser(ctx.db, "chef2@test.dev", {
+    role: "chef",
+    chefId: "chef-0002",
+  });
+  await seedUser(ctx.db, "user@test.dev");
+});
+after(() => ctx.close());
+
+test("POST /meals is for chefs only", async () => {
+  const res = await ctx.api
+    .post("/meals")
+    .set(auth("user@test.dev"))
+    .send({ foodName: "Soup", price: 5 });
+  assert.equal(res.status, 403);
+});
+
+test("POST /meals takes the owner from the token", async () => {
+  const res = await ctx.api
+    .post("/meals")
+    .set(auth(chef.email))
+    .send({ foodName: "Lentil Soup", price: "6.5", category: "soup" });
+  assert.equal(res.status, 200);
+
+  const meal = await ctx.db
+    .collection("meals")
+    .findOne({ _id: new ObjectId(res.body.insertedId) });
+  assert.equal(meal.chefEmail, chef.email);
+  assert.equal(meal.chefId, "chef-0001");
+  assert.equal(meal.price, 6.5);
+  assert.equal(meal.avgRating, 0);
+});
+
+test("POST /meals rejects server-owned fields and bad values", async () => {
+  const owned = await ctx.api
+    .post("/meals")
+    .set(auth(chef.email))
+    .send({ foodName: "Soup", price: 5, chefEmail: "someone@test.dev" });
+  assert.equal(owned.status, 400);
+  assert.deepEqual(owned.body.fields, ["chefEmail"]);
+
+  const price = await ctx.api
+    .post("/meals")
+    .set(auth(chef.email))
+    .send({ foodName: "Soup", price: -1 });
+  assert.equal(price.status, 400);
+  assert.deepEqual(price.body.fields, ["price"]);
+
+  const slots = await ctx.api
+    .post("/meals")
+    .set(auth(chef.email))
+    .send({ foodName: "Soup", price: 5, deliverySlots: ["noon"] });
+  assert.equal(slots.status, 400);
+});
+
+test("GET /meals filters, searches and returns facets", async () => {
+  await seedMeal(ctx.db, otherChef, {
+    foodName: "Beef Tacos",
+    price: 25,
+    category: "mexican",
+  });
+  await seedMeal(ctx.db, otherChef, {
+    foodName: "Hidden Stew",
+    price: 8,
+    category: "soup",
+    hidden: true,
+  });
+
+  const all = await ctx.api.get("/meals");
+  assert.equal(all.status, 200);
+  assert.equal(all.body.totalMeals, 2);
+  assert.ok(all.body.meals.every((meal) => meal.chefEmail === undefined));
+  assert.ok(all.body.meals.every((meal) => meal.foodName !== "Hidden Stew"));
+  assert.deepEqual(all.body.facets.categories.map((c) => c.category).sort(), [
+    "mexican",
+    "soup",
+  ]);
+
+  const cheap = await ctx.api.get("/meals?maxPrice=10");
+  assert.deepEqual(
+    cheap.body.meals.map((meal) => meal.foodName),
+    ["Lentil Soup"]
+  );
+
+  const search = await ctx.api.get("/meals?q=tacos");
+  assert.equal(search.body.totalMeals, 1);
+  assert.equal(search.body.meals[0].foodName, "Beef Tacos");
+
+  const byChef = await ctx.api.get("/meals?chef=chef-0002");
+  assert.equal(byChef.body.totalMeals, 1);
+
+  const badSort = await ctx.api.get("/meals?sortBy=nope");
+  assert.equal(badSort.status, 400);
+  const inherited = await ctx.api.get("/meals?sortBy=constructor");
+  assert.equal(inherited.status, 400);
+});
+
+test("GET /meals/:id validates the id and hides hidden meals", async () => {
+  const invalid = await ctx.api.get("/meals/not-an-id");
+  assert.equal(invalid.status, 400);
+
+  const hidden = await ctx.db
+    .collection("meals")
+    .findOne({ foodName: "Hidden Stew" });
+  const res = await ctx.api.get(`/meals/${hidden._id}`);
+  assert.equal(res.status, 404);
+
+  const meal = await ctx.db
+    .collection("meals")
+    .findOne({ foodName: "Beef Tacos" });
+  const found = await ctx.api.get(`/meals/${meal._id}`);
+  assert.equal(found.status, 200);
+  assert.equal(found.body.foodName, "Beef Tacos");
+  assert.equal(found.body.chefId, "chef-0002");
+  assert.equal(found.body.chefEmail, undefined);
+});
+
+test("GET /meals/:id/availability reports the daily cap", async () => {
+  const meal = await seedMeal(ctx.db, chef, {
+    dailyLimit: 3,
+    deliverySlots: ["12:00-13:00"],
+  });
+  const res = await ctx.api.get(`/meals/${meal._id}/availability?days=2`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.availability.length, 2);
+  assert.equal(res.body.availability[0].remaining, 3);
+  assert.deepEqual(res.body.deliverySlots, ["12:00-13:00"]);
+});
+
+test("PATCH and DELETE /meals/:id are owner only", async () => {
+  const meal = await seedMeal(ctx.db, chef, { foodName: "Owned Curry" });
+
+  const foreign = await ctx.api
+    .patch(`/meals/${meal._id}`)
+    .set(auth(otherChef.email))
+    .send({ price: 1 });
+  assert.equal(foreign.status, 403);
+
+  const patched = await ctx.api
+    .patch(`/meals/${meal._id}`)
+    .set(auth(chef.email))
+    .send({ price: 14 });
+  assert.equal(patched.status, 200);
+  const updated = await ctx.db.collection("meals").findOne({ _id: meal._id });
+  assert.equal(updated.price, 14);
+
+  const deleted = await ctx.api
+    .delete(`/meals/${meal._id}`)
+    .set(auth(chef.email));
+  assert.equal(deleted.status, 200);
+  assert.equal(deleted.body.deletedCount, 1);
+});
+
+test("GET /meals/chef/:email lists a chef's own meals", async () => {
+  const own = await ctx.api
+    .get(`/meals/chef/${chef.email}`)
+    .set(auth(chef.email));
+  assert.equal(own.status, 200);
+  assert.ok(own.body.total > 0);
+  assert.ok(own.body.items.every((meal) => meal.chefEmail === chef.email));
+
+  const other = await ctx.api
+    .get(`/meals/chef/${chef.email}`)
+    .set(auth(otherChef.email));
+  assert.equal(other.status, 403);
+});
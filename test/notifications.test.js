@@ -0,0 +1,145 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  setupTestApp,
+  auth,
+  seedUser,
+  seedMeal,
+  placeOrder,
+} = require("./helpers");
+
+let ctx;
+let meal;
+before(async () => {
+  ctx = await setupTestApp();
+  const chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  await seedUser(ctx.db, "buyer@test.dev");
+  meal = await seedMeal(ctx.db, chef);
+});
+after(() => ctx.close());
+
+const getPrefs = () =>
+  ctx.api.get("/notification-preferences").set(auth("buyer@test.dev"));
+
+const setPrefs = (body) =>
+  ctx.api
+    .patch("/notification-preferences")
+    .set(auth("buyer@test.dev"))
+    .send(body);
+
+// a new order the chef accepts → an order_status notification for the buyer
+const acceptedOrder = async () => {
+  const placed = await placeOrder(ctx.api, "buyer@test.dev", meal, 1);
+  await ctx.api
+    .patch(`/orders/${placed.body.insertedId}`)
+    .set(auth("chef@test.dev"))
+    .send({ orderStatus: "accepted" });
+};
+
+const orderNotifications = () =>
+  ctx.db
+    .collection("notifications")
+    .countDocuments({ userEmail: "buyer@test.dev", type: "order_status" });
+
+test("GET /notification-preferences defaults every type on", async () => {
+  const res = await getPrefs();
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, {
+    order_status: true,
+    role_request: true,
+    payment: true,
+    review: true,
+  });
+});
+
+test("PATCH /notification-preferences validates the body", async () => {
+  assert.equal((await setPrefs({})).status, 400);
+  assert.equal((await setPrefs({ newsletter: true })).status, 400);
+  assert.equal((await setPrefs({ payment: "no" })).status, 400);
+});
+
+test("turned off notification types are not stored", async () => {
+  await acceptedOrder();
+  assert.equal(await orderNotifications(), 1);
+
+  const res = await setPrefs({ order_status: false });
+  assert.equal(res.status, 200);
+  assert.equal((await getPrefs()).body.order_status, false);
+  assert.equal((await getPrefs()).body.payment, true);
+
+  await acceptedOrder();
+  assert.equal(await orderNotifications(), 1);
+
+  await setPrefs({ order_status: true });
+  await acceptedOrder();
+  assert.equal(await orderNotifications(), 2);
+});
+
+test("GET /notifications pages newest first with the unread count", async () => {
+  const first = await ctx.api
+    .get("/notifications?limit=1")
+    .set(auth("buyer@test.dev"));
+  assert.equal(first.status, 200);
+  assert.equal(first.body.items.length, 1);
+  assert.equal(first.body.total, 2);
+  assert.equal(first.body.unreadCount, 2);
+
+  const next = await ctx.api
+    .get(`/notifications?limit=1&cursor=${first.body.nextCursor}`)
+    .set(auth("buyer@test.dev"));
+  assert.equal(next.body.items.length, 1);
+  assert.notEqual(next.body.items[0]._id, first.body.items[0]._id);
+  assert.equal(next.body.nextCursor, null);
+
+  const bad = await ctx.api
+    .get("/notifications?cursor=nope")
+    .set(auth("buyer@test.dev"));
+  assert.equal(bad.status, 400);
+});
+
+const listNotifications = async (query = "") =>
+  (await ctx.api.get(`/notifications${query}`).set(auth("buyer@test.dev")))
+    .body;
+
+const findNotification = (id) =>
+  ctx.db.collection("notifications").findOne({ _id: new ObjectId(id) });
+
+test("PATCH /notifications/:id/read marks one of the user's own", async () => {
+  const [latest] = (await listNotifications()).items;
+  const markRead = (email, id = latest._id) =>
+    ctx.api.patch(`/notifications/${id}/read`).set(auth(email));
+
+  assert.equal((await markRead("buyer@test.dev", "nope")).status, 400);
+  // someone else's notification is not found for them
+  assert.equal((await markRead("chef@test.dev")).status, 404);
+  assert.equal((await findNotification(latest._id)).read, false);
+
+  assert.equal((await markRead("buyer@test.dev")).status, 200);
+  const stored = await findNotification(latest._id);
+  assert.equal(stored.read, true);
+  assert.ok(stored.readAt);
+  assert.equal((await listNotifications()).unreadCount, 1);
+});
+
+test("PATCH /notifications/read-all marks the rest read", async () => {
+  const res = await ctx.api
+    .patch("/notifications/read-all")
+    .set(auth("buyer@test.dev"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.modified, 1);
+
+  const unreadPage = await listNotifications("?unread=true");
+  assert.equal(unreadPage.total, 0);
+  assert.equal(unreadPage.unreadCount, 0);
+  const unread = await ctx.db
+    .collection("notifications")
+    .countDocuments({
+      userEmail: "buyer@test.dev",
+      readAt: { $exists: false },
+    });
+  assert.equal(unread, 0);
+});
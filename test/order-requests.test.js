@@ -0,0 +1,108 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { setupTestApp, auth, seedUser } = require("./helpers");
+
+let ctx;
+let requestId;
+before(async () => {
+  ctx = await setupTestApp();
+  await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  await seedUser(ctx.db, "other-chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0002",
+  });
+  await seedUser(ctx.db, "buyer@test.dev");
+  await seedUser(ctx.db, "admin@test.dev", { role: "admin" });
+
+  const { insertedId } = await ctx.db.collection("orderRequests").insertOne({
+    userEmail: "buyer@test.dev",
+    chefEmail: "chef@test.dev",
+    paymentStatus: "pending",
+    createdAt: new Date(),
+  });
+  requestId = insertedId.toString();
+});
+after(() => ctx.close());
+
+const setPayment = (email, id, body = { paymentStatus: "paid" }) => {
+  const req = ctx.api.patch(`/order-requests/${id}`);
+  if (email) req.set(auth(email));
+  return req.send(body);
+};
+
+test("PATCH /order-requests/:id is for the request's chef or an admin", async () => {
+  assert.equal((await setPayment(null, requestId)).status, 401);
+  assert.equal((await setPayment("buyer@test.dev", requestId)).status, 403);
+  assert.equal(
+    (await setPayment("other-chef@test.dev", requestId)).status,
+    403
+  );
+  assert.equal((await setPayment("chef@test.dev", "nope")).status, 400);
+  assert.equal((await setPayment("chef@test.dev", new ObjectId())).status, 404);
+  assert.equal((await setPayment("chef@test.dev", requestId, {})).status, 400);
+
+  const res = await setPayment("chef@test.dev", requestId);
+  assert.equal(res.status, 200);
+  const stored = await ctx.db
+    .collection("orderRequests")
+    .findOne({ _id: new ObjectId(requestId) });
+  assert.equal(stored.paymentStatus, "paid");
+
+  const audit = await ctx.db
+    .collection("auditLog")
+    .findOne({ action: "order_request.payment" });
+  assert.equal(audit.actor, "chef@test.dev");
+  assert.deepEqual(audit.before, { paymentStatus: "pending" });
+
+  const byAdmin = await setPayment("admin@test.dev", requestId, {
+    paymentStatus: "refunded",
+  });
+  assert.equal(byAdmin.status, 200);
+});
+
+test("POST /order-requests stores the request", async () => {
+  const anonymous = await ctx.api
+    .post("/order-requests")
+    .send({ chefEmail: "chef@test.dev" });
+  assert.equal(anonymous.status, 401);
+
+  const res = await ctx.api
+    .post("/order-requests")
+    .set(auth("buyer@test.dev"))
+    .send({
+      userEmail: "buyer@test.dev",
+      chefEmail: "chef@test.dev",
+      paymentStatus: "pending",
+    });
+  assert.equal(res.status, 200);
+  const stored = await ctx.db
+    .collection("orderRequests")
+    .findOne({ _id: new ObjectId(res.body.insertedId) });
+  assert.ok(stored.createdAt instanceof Date);
+});
+
+test("GET /order-requests lists requests for chefs", async () => {
+  const customer = await ctx.api
+    .get("/order-requests")
+    .set(auth("buyer@test.dev"));
+  assert.equal(customer.status, 403);
+
+  const all = await ctx.api.get("/order-requests").set(auth("chef@test.dev"));
+  assert.equal(all.status, 200);
+  assert.equal(all.body.total, 2);
+
+  const pending = await ctx.api
+    .get("/order-requests?status=pending")
+    .set(auth("chef@test.dev"));
+  assert.equal(pending.body.total, 1);
+
+  const paged = await ctx.api
+    .get("/order-requests?limit=1")
+    .set(auth("chef@test.dev"));
+  assert.equal(paged.body.items.length, 1);
+  assert.ok(paged.body.nextCursor);
+});
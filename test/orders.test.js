@@ -0,0 +1,289 @@
+const http = require("node:http");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  setupTestApp,
+  auth,
+  seedUser,
+  seedMeal,
+  today,
+  placeOrder,
+} = require("./helpers");
+
+let ctx;
+let chef;
+let meal;
+before(async () => {
+  ctx = await setupTestApp();
+  chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  await seedUser(ctx.db, "chef2@test.dev", {
+    role: "chef",
+    chefId: "chef-0002",
+  });
+  await seedUser(ctx.db, "buyer@test.dev");
+  await seedUser(ctx.db, "stranger@test.dev");
+  meal = await seedMeal(ctx.db, chef, { price: 12.5 });
+});
+after(() => ctx.close());
+
+const findOrder = (id) =>
+  ctx.db.collection("orders").findOne({ _id: new ObjectId(id) });
+
+test("POST /orders prices items from the database", async () => {
+  const res = await placeOrder(ctx.api, "buyer@test.dev", meal, 2, {
+    items: [{ mealId: meal._id.toString(), quantity: 2, price: 0.01 }],
+  });
+  assert.equal(res.status, 200);
+
+  const { order } = res.body;
+  assert.equal(order.userEmail, "buyer@test.dev");
+  assert.equal(order.chefEmail, chef.email);
+  assert.equal(order.items[0].unitPrice, 12.5);
+  assert.equal(order.subtotal, 25);
+  assert.equal(order.totalCents, 2500);
+  assert.equal(order.orderStatus, "pending");
+
+  const updated = await ctx.db.collection("meals").findOne({ _id: meal._id });
+  assert.equal(updated.orderCount, 1);
+});
+
+test("POST /orders validates items and delivery date", async () => {
+  const badId = await ctx.api
+    .post("/orders")
+    .set(auth("buyer@test.dev"))
+    .send({ items: [{ mealId: "nope", quantity: 1 }], deliveryDate: today() });
+  assert.equal(badId.status, 400);
+
+  const noDate = await ctx.api
+    .post("/orders")
+    .set(auth("buyer@test.dev"))
+    .send({ items: [{ mealId: meal._id.toString(), quantity: 1 }] });
+  assert.equal(noDate.status, 400);
+
+  const otherMeal = await seedMeal(ctx.db, { email: "chef2@test.dev" });
+  const mixed = await ctx.api
+    .post("/orders")
+    .set(auth("buyer@test.dev"))
+    .send({
+      items: [
+        { mealId: meal._id.toString(), quantity: 1 },
+        { mealId: otherMeal._id.toString(), quantity: 1 },
+      ],
+      deliveryDate: today(),
+    });
+  assert.equal(mixed.status, 400);
+});
+
+test("order and payment writes without a body are refused, not 500", async () => {
+  const { _id } = await ctx.db
+    .collection("orders")
+    .findOne({ userEmail: "buyer@test.dev" });
+  const writes = [
+    ["post", "/orders", "buyer@test.dev", 400],
+    ["patch", `/orders/${_id}`, chef.email, 400],
+    // the order isn't paid, so there is nothing to refund
+    ["post", `/orders/${_id}/refund`, chef.email, 409],
+    ["post", "/create-payment-intent", "buyer@test.dev", 400],
+    ["post", "/payment-success", "buyer@test.dev", 400],
+    ["post", "/users", "buyer@test.dev", 400],
+  ];
+  for (const [method, url, email, status] of writes) {
+    const res = await ctx.api[method](url).set(auth(email));
+    assert.equal(res.status, status, `${method} ${url}`);
+  }
+});
+
+test("POST /orders enforces the daily limit", async () => {
+  const capped = await seedMeal(ctx.db, chef, {
+    foodName: "Limited Ramen",
+    dailyLimit: 2,
+  });
+  const first = await placeOrder(ctx.api, "buyer@test.dev", capped, 2);
+  assert.equal(first.status, 200);
+
+  const soldOut = await placeOrder(ctx.api, "buyer@test.dev", capped, 1);
+  assert.equal(soldOut.status, 409);
+
+  // cancelling gives the quantity back
+  const cancel = await ctx.api
+    .patch(`/orders/${first.body.insertedId}`)
+    .set(auth("buyer@test.dev"))
+    .send({ orderStatus: "cancelled" });
+  assert.equal(cancel.status, 200);
+  const { orderCount } = await ctx.db
+    .collection("meals")
+    .findOne({ _id: capped._id });
+  assert.equal(orderCount, 0);
+
+  const again = await placeOrder(ctx.api, "buyer@test.dev", capped, 1);
+  assert.equal(again.status, 200);
+});
+
+test("POST /orders applies a promo code", async () => {
+  await ctx.db.collection("promoCodes").insertOne({
+    code: "SAVE10",
+    type: "percent",
+    value: 10,
+    maxUses: null,
+    perUserLimit: 1,
+    usedCount: 0,
+    chefEmail: chef.email,
+    active: true,
+    createdAt: new Date(),
+  });
+
+  const res = await placeOrder(ctx.api, "buyer@test.dev", meal, 2, {
+    promoCode: "save10",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.order.discount.amount, 2.5);
+  assert.equal(res.body.order.totalCents, 2250);
+
+  const reused = await placeOrder(ctx.api, "buyer@test.dev", meal, 1, {
+    promoCode: "SAVE10",
+  });
+  assert.equal(reused.status, 409);
+
+  // cancelling gives the use back, once
+  const cancel = () =>
+    ctx.api
+      .patch(`/orders/${res.body.insertedId}`)
+      .set(auth("buyer@test.dev"))
+      .send({ orderStatus: "cancelled" });
+  assert.equal((await cancel()).status, 200);
+  assert.equal((await cancel()).status, 409);
+  const promo = await ctx.db
+    .collection("promoCodes")
+    .findOne({ code: "SAVE10" });
+  assert.equal(promo.usedCount, 0);
+
+  const afterCancel = await placeOrder(ctx.api, "buyer@test.dev", meal, 1, {
+    promoCode: "SAVE10",
+  });
+  assert.equal(afterCancel.status, 200);
+});
+
+test("GET /orders and /orders/:id return the user's orders", async () => {
+  const list = await ctx.api
+    .get("/orders?email=buyer@test.dev&limit=2")
+    .set(auth("buyer@test.dev"));
+  assert.equal(list.status, 200);
+  assert.equal(list.body.items.length, 2);
+  assert.ok(list.body.nextCursor);
+
+  const next = await ctx.api
+    .get(`/orders?email=buyer@test.dev&cursor=${list.body.nextCursor}`)
+    .set(auth("buyer@test.dev"));
+  assert.ok(next.body.items.length > 0);
+  assert.ok(
+    next.body.items.every(
+      (order) => !list.body.items.some((seen) => seen._id === order._id)
+    )
+  );
+
+  const single = await ctx.api
+    .get(`/orders/${list.body.items[0]._id}`)
+    .set(auth("buyer@test.dev"));
+  assert.equal(single.status, 200);
+  assert.equal(single.body.userEmail, "buyer@test.dev");
+});
+
+test("GET /orders and /orders/:id are for the order's people only", async () => {
+  const orderId = (
+    await ctx.db.collection("orders").findOne({ userEmail: "buyer@test.dev" })
+  )._id;
+
+  assert.equal((await ctx.api.get("/orders?email=buyer@test.dev")).status, 401);
+  const someoneElses = await ctx.api
+    .get("/orders?email=buyer@test.dev")
+    .set(auth("stranger@test.dev"));
+  assert.equal(someoneElses.status, 403);
+
+  assert.equal((await ctx.api.get(`/orders/${orderId}`)).status, 401);
+  const getOrder = (email) =>
+    ctx.api.get(`/orders/${orderId}`).set(auth(email));
+  assert.equal((await getOrder("stranger@test.dev")).status, 403);
+  assert.equal((await getOrder("chef2@test.dev")).status, 403);
+  assert.equal((await getOrder(chef.email)).status, 200);
+});
+
+test("PATCH /orders/:id follows the order lifecycle", async () => {
+  const placed = await placeOrder(ctx.api, "buyer@test.dev", meal, 1);
+  const id = placed.body.insertedId;
+  const move = (email, orderStatus) =>
+    ctx.api.patch(`/orders/${id}`).set(auth(email)).send({ orderStatus });
+
+  assert.equal((await move("stranger@test.dev", "accepted")).status, 403);
+  assert.equal((await move("buyer@test.dev", "accepted")).status, 403);
+  assert.equal((await move(chef.email, "delivered")).status, 409);
+  assert.equal((await move(chef.email, "constructor")).status, 400);
+  assert.equal((await move(chef.email, "toString")).status, 400);
+
+  for (const status of ["accepted", "cooking", "out-for-delivery"]) {
+    const res = await move(chef.email, status);
+    assert.equal(res.status, 200);
+  }
+  assert.equal((await move(chef.email, "delivered")).status, 200);
+
+  const order = await findOrder(id);
+  assert.equal(order.orderStatus, "delivered");
+  assert.deepEqual(
+    order.statusHistory.map((entry) => entry.to),
+    ["pending", "accepted", "cooking", "out-for-delivery", "delivered"]
+  );
+
+  const notification = await ctx.db
+    .collection("notifications")
+    .findOne({ userEmail: "buyer@test.dev", type: "order_status" });
+  assert.ok(notification);
+});
+
+test("GET /orders/chef/:email is the chef's own incoming orders", async () => {
+  const own = await ctx.api
+    .get(`/orders/chef/${chef.email}`)
+    .set(auth(chef.email));
+  assert.equal(own.status, 200);
+  assert.ok(own.body.total > 0);
+  assert.ok(own.body.items.every((order) => order.chefEmail === chef.email));
+
+  const other = await ctx.api
+    .get(`/orders/chef/${chef.email}`)
+    .set(auth("chef2@test.dev"));
+  assert.equal(other.status, 403);
+});
+
+test("GET /stream/orders pushes new orders to the chef", async () => {
+  const server = ctx.app.listen(0);
+  const { port } = server.address();
+
+  let req;
+  let buffer = "";
+  const opened = new Promise((resolve, reject) => {
+    req = http.get(
+      `http://127.0.0.1:${port}/stream/orders?token=test:${chef.email}`,
+      (res) => {
+        assert.match(res.headers["content-type"], /^text\/event-stream/);
+        res.setEncoding("utf8");
+        res.once("data", resolve);
+        res.on("data", (chunk) => {
+          buffer += chunk;
+          if (buffer.includes("event: order.created")) req.emit("created");
+        });
+      }
+    );
+    req.on("error", reject);
+  });
+  await opened;
+
+  const created = new Promise((resolve) => req.once("created", resolve));
+  await placeOrder(ctx.api, "buyer@test.dev", meal, 1);
+  await created;
+
+  req.destroy();
+  await new Promise((resolve) => server.close(resolve));
+  assert.match(buffer, /"userEmail":"buyer@test\.dev"/);
+});
@@ -0,0 +1,525 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  setupTestApp,
+  auth,
+  signedEvent,
+  seedUser,
+  seedMeal,
+  placeOrder,
+} = require("./helpers");
+
+let ctx;
+let chef;
+let meal;
+before(async () => {
+  ctx = await setupTestApp();
+  chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  await seedUser(ctx.db, "buyer@test.dev");
+  await seedUser(ctx.db, "stranger@test.dev");
+  meal = await seedMeal(ctx.db, chef, { price: 10 });
+});
+after(() => ctx.close());
+
+const findOrder = (id) =>
+  ctx.db.collection("orders").findOne({ _id: new ObjectId(id) });
+
+const postEvent = (event) => {
+  const { payload, signature } = signedEvent(ctx.stripe, event);
+  return ctx.api
+    .post("/stripe/webhook")
+    .set("Content-Type", "application/json")
+    .set("Stripe-Signature", signature)
+    .send(payload);
+};
+
+const completedEvent = (id, orderId, amountTotal, sessionId) => ({
+  id,
+  type: "checkout.session.completed",
+  data: {
+    object: {
+      id: sessionId,
+      object: "checkout.session",
+      payment_status: "paid",
+      payment_intent: `pi_${orderId}`,
+      amount_total: amountTotal,
+      currency: "usd",
+      client_reference_id: orderId,
+      metadata: { orderId },
+      customer_details: { email: "buyer@test.dev" },
+    },
+  },
+});
+
+// opens a checkout for the order, returns its session id
+const checkout = async (orderId) => {
+  await ctx.api
+    .post("/create-payment-intent")
+    .set(auth("buyer@test.dev"))
+    .send({ orderId });
+  return (await findOrder(orderId)).checkoutSessionId;
+};
+
+// placed + paid through the webhook
+const paidOrder = async (quantity = 1) => {
+  const placed = await placeOrder(ctx.api, "buyer@test.dev", meal, quantity);
+  const orderId = placed.body.insertedId;
+  await postEvent(
+    completedEvent(
+      `evt_paid_${orderId}`,
+      orderId,
+      placed.body.order.totalCents,
+      await checkout(orderId)
+    )
+  );
+  return orderId;
+};
+
+test("POST /create-payment-intent charges the stored order", async () => {
+  const placed = await placeOrder(ctx.api, "buyer@test.dev", meal, 3);
+  const orderId = placed.body.insertedId;
+
+  const foreign = await ctx.api
+    .post("/create-payment-intent")
+    .set(auth("stranger@test.dev"))
+    .send({ orderId });
+  assert.equal(foreign.status, 403);
+
+  const res = await ctx.api
+    .post("/create-payment-intent")
+    .set(auth("buyer@test.dev"))
+    .send({ orderId });
+  assert.equal(res.status, 200);
+  assert.match(res.body.paymentUrl, /^https:\/\/checkout\.stripe\.test\//);
+
+  const session = ctx.stripe.calls.sessions.at(-1);
+  assert.equal(session.metadata.orderId, orderId);
+  assert.equal(session.line_items[0].price_data.unit_amount, 1000);
+  assert.equal(session.line_items[0].quantity, 3);
+
+  const order = await findOrder(orderId);
+  assert.ok(order.checkoutSessionId);
+});
+
+test("POST /create-payment-intent turns a promo into a coupon", async () => {
+  await ctx.db.collection("promoCodes").insertOne({
+    code: "FIVEOFF",
+    type: "fixed",
+    value: 5,
+    usedCount: 0,
+    active: true,
+    createdAt: new Date(),
+  });
+  const placed = await placeOrder(ctx.api, "buyer@test.dev", meal, 2, {
+    promoCode: "FIVEOFF",
+  });
+
+  const res = await ctx.api
+    .post("/create-payment-intent")
+    .set(auth("buyer@test.dev"))
+    .send({ orderId: placed.body.insertedId });
+  assert.equal(res.status, 200);
+
+  assert.equal(ctx.stripe.calls.coupons.at(-1).amount_off, 500);
+  assert.deepEqual(ctx.stripe.calls.sessions.at(-1).discounts, [
+    { coupon: `coupon_test_${ctx.stripe.calls.coupons.length}` },
+  ]);
+});
+
+test("POST /create-payment-intent only for live unpaid orders", async () => {
+  const pay = (orderId) =>
+    ctx.api
+      .post("/create-payment-intent")
+      .set(auth("buyer@test.dev"))
+      .send({ orderId });
+  const place = async (fields) => {
+    const placed = await placeOrder(ctx.api, "buyer@test.dev", meal, 1);
+    await ctx.db
+      .collection("orders")
+      .updateOne(
+        { _id: new ObjectId(placed.body.insertedId) },
+        { $set: fields }
+      );
+    return placed.body.insertedId;
+  };
+
+  const cancelled = await place({ orderStatus: "cancelled" });
+  assert.equal((await pay(cancelled)).status, 409);
+
+  const rejected = await place({ orderStatus: "rejected" });
+  assert.equal((await pay(rejected)).status, 409);
+
+  const refunded = await place({
+    orderStatus: "cancelled",
+    paymentStatus: "refunded",
+  });
+  assert.equal((await pay(refunded)).status, 409);
+
+  const accepted = await place({ orderStatus: "accepted" });
+  assert.equal((await pay(accepted)).status, 200);
+});
+
+test("webhook rejects payloads without a valid signature", async () => {
+  const res = await ctx.api
+    .post("/stripe/webhook")
+    .set("Content-Type", "application/json")
+    .set("Stripe-Signature", "t=1,v1=forged")
+    .send(JSON.stringify({ id: "evt_forged" }));
+  assert.equal(res.status, 400);
+});
+
+test("checkout.session.completed marks the order paid once", async () => {
+  const placed = await placeOrder(ctx.api, "buyer@test.dev", meal, 1);
+  const orderId = placed.body.insertedId;
+  const event = completedEvent(
+    "evt_completed_1",
+    orderId,
+    1000,
+    await checkout(orderId)
+  );
+
+  const res = await postEvent(event);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.received, true);
+
+  const order = await findOrder(orderId);
+  assert.equal(order.paymentStatus, "paid");
+  assert.equal(order.paymentIntentId, `pi_${orderId}`);
+
+  const payment = await ctx.api
+    .get(`/payments/${orderId}`)
+    .set(auth("buyer@test.dev"));
+  assert.equal(payment.status, 200);
+  assert.equal(payment.body.amountCents, 1000);
+  assert.equal((await ctx.api.get(`/payments/${orderId}`)).status, 401);
+  const foreign = await ctx.api
+    .get(`/payments/${orderId}`)
+    .set(auth("stranger@test.dev"));
+  assert.equal(foreign.status, 403);
+  const byChef = await ctx.api
+    .get(`/payments/${orderId}`)
+    .set(auth(chef.email));
+  assert.equal(byChef.status, 200);
+
+  const duplicate = await postEvent(event);
+  assert.equal(duplicate.body.duplicate, true);
+
+  const success = await ctx.api
+    .post("/payment-success")
+    .set(auth("buyer@test.dev"))
+    .send({ orderId });
+  assert.equal(success.body.success, true);
+
+  const again = await ctx.api
+    .post("/create-payment-intent")
+    .set(auth("buyer@test.dev"))
+    .send({ orderId });
+  assert.equal(again.status, 409);
+});
+
+test("checkout.session.completed refunds payments the order can't take", async () => {
+  const placed = await placeOrder(ctx.api, "buyer@test.dev", meal, 1);
+  const orderId = placed.body.insertedId;
+  const stale = await checkout(orderId);
+  const current = await checkout(orderId);
+  assert.deepEqual(ctx.stripe.calls.expired.slice(-1), [stale]);
+
+  // an older session for the same order
+  await postEvent(completedEvent(`evt_stale_${orderId}`, orderId, 1000, stale));
+  let order = await findOrder(orderId);
+  assert.equal(order.paymentStatus, "pending");
+  let { params, options } = ctx.stripe.calls.refunds.at(-1);
+  assert.equal(params.payment_intent, `pi_${orderId}`);
+  assert.equal(params.amount, undefined);
+  assert.equal(options.idempotencyKey, `unmatched:${stale}`);
+
+  // the current session, but the order was cancelled meanwhile
+  await ctx.api
+    .patch(`/orders/${orderId}`)
+    .set(auth("buyer@test.dev"))
+    .send({ orderStatus: "cancelled" });
+  const refunds = ctx.stripe.calls.refunds.length;
+  await postEvent(
+    completedEvent(`evt_late_${orderId}`, orderId, 1000, current)
+  );
+  order = await findOrder(orderId);
+  assert.equal(order.paymentStatus, "pending");
+  assert.equal(ctx.stripe.calls.refunds.length, refunds + 1);
+  ({ options } = ctx.stripe.calls.refunds.at(-1));
+  assert.equal(options.idempotencyKey, `unmatched:${current}`);
+
+  const audit = await ctx.db
+    .collection("auditLog")
+    .findOne({ action: "payment.unmatched_refund", "target.id": orderId });
+  assert.ok(audit);
+});
+
+test("checkout.session.expired leaves the order unpaid", async () => {
+  const placed = await placeOrder(ctx.api, "buyer@test.dev", meal, 1);
+  const orderId = placed.body.insertedId;
+  await ctx.api
+    .post("/create-payment-intent")
+    .set(auth("buyer@test.dev"))
+    .send({ orderId });
+  const { checkoutSessionId } = await findOrder(orderId);
+
+  const res = await postEvent({
+    id: "evt_expired_1",
+    type: "checkout.session.expired",
+    data: {
+      object: {
+        id: checkoutSessionId,
+        object: "checkout.session",
+        client_reference_id: orderId,
+        metadata: { orderId },
+      },
+    },
+  });
+  assert.equal(res.status, 200);
+
+  const order = await findOrder(orderId);
+  assert.equal(order.paymentStatus, "pending");
+  assert.equal(order.checkoutSessionId, undefined);
+});
+
+test("a new checkout expires the order's open one", async () => {
+  const placed = await placeOrder(ctx.api, "buyer@test.dev", meal, 1);
+  const orderId = placed.body.insertedId;
+  const first = await checkout(orderId);
+  const second = await checkout(orderId);
+  assert.notEqual(first, second);
+  assert.deepEqual(ctx.stripe.calls.expired.slice(-1), [first]);
+
+  // the replaced session's expiry leaves the live one alone
+  await postEvent({
+    id: `evt_replaced_${orderId}`,
+    type: "checkout.session.expired",
+    data: {
+      object: { id: first, object: "checkout.session", metadata: { orderId } },
+    },
+  });
+  assert.equal((await findOrder(orderId)).checkoutSessionId, second);
+  const payments = ctx.db.collection("payments");
+  assert.equal(await payments.countDocuments({ orderId }), 0);
+
+  // paid, the webhook just hasn't arrived yet
+  ctx.stripe.sessionStatus[second] = "complete";
+  const again = await ctx.api
+    .post("/create-payment-intent")
+    .set(auth("buyer@test.dev"))
+    .send({ orderId });
+  assert.equal(again.status, 409);
+  assert.equal((await findOrder(orderId)).checkoutSessionId, second);
+});
+
+test("an expired checkout holds no promo use until the next one", async () => {
+  await ctx.db.collection("promoCodes").insertOne({
+    code: "ONCE",
+    type: "fixed",
+    value: 1,
+    maxUses: 1,
+    usedCount: 0,
+    active: true,
+    createdAt: new Date(),
+  });
+  const usedCount = async () =>
+    (await ctx.db.collection("promoCodes").findOne({ code: "ONCE" })).usedCount;
+  const checkout = (orderId) =>
+    ctx.api
+      .post("/create-payment-intent")
+      .set(auth("buyer@test.dev"))
+      .send({ orderId });
+  const expire = async (orderId, id) => {
+    const { checkoutSessionId } = await findOrder(orderId);
+    return postEvent({
+      id,
+      type: "checkout.session.expired",
+      data: {
+        object: {
+          id: checkoutSessionId,
+          object: "checkout.session",
+          metadata: { orderId },
+        },
+      },
+    });
+  };
+
+  const placed = await placeOrder(ctx.api, "buyer@test.dev", meal, 1, {
+    promoCode: "ONCE",
+  });
+  const orderId = placed.body.insertedId;
+  assert.equal((await checkout(orderId)).status, 200);
+  assert.equal(await usedCount(), 1);
+
+  await expire(orderId, `evt_promo_expired_${orderId}`);
+  assert.equal(await usedCount(), 0);
+
+  // checking out again claims it back
+  assert.equal((await checkout(orderId)).status, 200);
+  assert.equal(await usedCount(), 1);
+
+  // unless someone else took the last use in between
+  await expire(orderId, `evt_promo_expired2_${orderId}`);
+  const other = await placeOrder(ctx.api, "buyer@test.dev", meal, 1, {
+    promoCode: "ONCE",
+  });
+  assert.equal(other.status, 200);
+  assert.equal((await checkout(orderId)).status, 409);
+  assert.equal(await usedCount(), 1);
+});
+
+test("POST /orders/:id/refund refunds through stripe", async () => {
+  const orderId = await paidOrder(2);
+
+  const customer = await ctx.api
+    .post(`/orders/${orderId}/refund`)
+    .set(auth("buyer@test.dev"))
+    .send({ amount: 5 });
+  assert.equal(customer.status, 403);
+
+  const partial = await ctx.api
+    .post(`/orders/${orderId}/refund`)
+    .set(auth(chef.email))
+    .send({ amount: 5, reason: "cold food" });
+  assert.equal(partial.status, 200);
+  assert.equal(partial.body.order.paymentStatus, "partially_refunded");
+
+  const { params } = ctx.stripe.calls.refunds.at(-1);
+  assert.equal(params.payment_intent, `pi_${orderId}`);
+  assert.equal(params.amount, 500);
+
+  const tooMuch = await ctx.api
+    .post(`/orders/${orderId}/refund`)
+    .set(auth(chef.email))
+    .send({ amount: 100 });
+  assert.equal(tooMuch.status, 400);
+
+  const rest = await ctx.api
+    .post(`/orders/${orderId}/refund`)
+    .set(auth(chef.email))
+    .send({});
+  assert.equal(rest.status, 200);
+  assert.equal(rest.body.order.paymentStatus, "refunded");
+});
+
+test("cancelling a paid order refunds it", async () => {
+  const orderId = await paidOrder(1);
+  const res = await ctx.api
+    .patch(`/orders/${orderId}`)
+    .set(auth("buyer@test.dev"))
+    .send({ orderStatus: "cancelled" });
+  assert.equal(res.status, 200);
+
+  const order = await findOrder(orderId);
+  assert.equal(order.orderStatus, "cancelled");
+  assert.equal(order.paymentStatus, "refunded");
+});
+
+// walks a paid order through to delivered, which credits the chef
+const deliver = async (orderId) => {
+  for (const orderStatus of [
+    "accepted",
+    "cooking",
+    "out-for-delivery",
+    "delivered",
+  ]) {
+    await ctx.api
+      .patch(`/orders/${orderId}`)
+      .set(auth(chef.email))
+      .send({ orderStatus });
+  }
+};
+
+const chefBalanceCents = async () => {
+  const res = await ctx.api.get("/chefs/me/earnings").set(auth(chef.email));
+  return Math.round(res.body.balance * 100);
+};
+
+test("delivered paid orders credit the chef's ledger", async () => {
+  const orderId = await paidOrder(1);
+  await deliver(orderId);
+
+  const earnings = await ctx.api
+    .get("/chefs/me/earnings")
+    .set(auth(chef.email));
+  assert.equal(earnings.status, 200);
+  // 10.00 less the default 10% commission
+  assert.equal(earnings.body.balance, 9);
+});
+
+test("charge.refunded syncs refunds made in the dashboard", async () => {
+  const orderId = await paidOrder(1);
+  const res = await postEvent({
+    id: "evt_refunded_1",
+    type: "charge.refunded",
+    data: {
+      object: {
+        id: "ch_1",
+        object: "charge",
+        payment_intent: `pi_${orderId}`,
+        amount: 1000,
+        amount_refunded: 400,
+        metadata: { orderId },
+      },
+    },
+  });
+  assert.equal(res.status, 200);
+
+  const order = await findOrder(orderId);
+  assert.equal(order.paymentStatus, "partially_refunded");
+  assert.equal(order.refundedCents, 400);
+});
+
+test("dashboard refunds debit the chef once", async () => {
+  const orderId = await paidOrder(1);
+  await deliver(orderId);
+  const credited = await chefBalanceCents();
+
+  const refundedEvent = (id, amountRefunded, refunds) => ({
+    id,
+    type: "charge.refunded",
+    data: {
+      object: {
+        id: `ch_${orderId}`,
+        object: "charge",
+        payment_intent: `pi_${orderId}`,
+        amount: 1000,
+        amount_refunded: amountRefunded,
+        metadata: { orderId },
+        refunds: { object: "list", data: refunds },
+      },
+    },
+  });
+  const dashboardRefund = {
+    id: `re_dash_${orderId}`,
+    amount: 400,
+    status: "succeeded",
+    created: 1,
+  };
+
+  // 4.00 refunded → 90% of it comes off the chef
+  await postEvent(refundedEvent(`evt_r1_${orderId}`, 400, [dashboardRefund]));
+  assert.equal(await chefBalanceCents(), credited - 360);
+
+  // stripe resends the charge under a new event id
+  await postEvent(refundedEvent(`evt_r2_${orderId}`, 400, [dashboardRefund]));
+  assert.equal(await chefBalanceCents(), credited - 360);
+
+  // a refund made here, then reported by the webhook, is debited once
+  const refund = await ctx.api
+    .post(`/orders/${orderId}/refund`)
+    .set(auth(chef.email))
+    .send({ amount: 1 });
+  assert.equal(refund.status, 200);
+  await postEvent(
+    refundedEvent(`evt_r3_${orderId}`, 500, [
+      dashboardRefund,
+      { id: refund.body.refund.refundId, amount: 100, status: "succeeded" },
+    ])
+  );
+  assert.equal(await chefBalanceCents(), credited - 450);
+});
@@ -0,0 +1,151 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { setupTestApp, auth, seedUser } = require("./helpers");
+
+let ctx;
+before(async () => {
+  ctx = await setupTestApp();
+  await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  await seedUser(ctx.db, "buyer@test.dev");
+  await seedUser(ctx.db, "admin@test.dev", { role: "admin" });
+
+  // 100.00 earned from delivered orders
+  await ctx.db.collection("chefLedger").insertOne({
+    entryKey: "order:seeded",
+    chefEmail: "chef@test.dev",
+    type: "credit",
+    amountCents: 10000,
+    amount: 100,
+    createdAt: new Date(),
+  });
+});
+after(() => ctx.close());
+
+const requestPayout = (email, body) =>
+  ctx.api.post("/payout-requests").set(auth(email)).send(body);
+
+const decide = (action, id, email = "admin@test.dev") =>
+  ctx.api
+    .patch(`/payout-requests/${action}/${id}`)
+    .set(auth(email))
+    .send({ note: "checked" });
+
+const earnings = async () =>
+  (await ctx.api.get("/chefs/me/earnings").set(auth("chef@test.dev"))).body;
+
+const pendingPayoutId = async () =>
+  (
+    await ctx.db
+      .collection("payoutRequests")
+      .findOne({ chefEmail: "chef@test.dev", status: "pending" })
+  )._id;
+
+test("POST /payout-requests checks the amount against the balance", async () => {
+  assert.equal(
+    (await requestPayout("buyer@test.dev", { amount: 20 })).status,
+    403
+  );
+  assert.equal(
+    (await requestPayout("chef@test.dev", { amount: -5 })).status,
+    400
+  );
+  assert.equal(
+    (await requestPayout("chef@test.dev", { amount: 1 })).status,
+    400
+  );
+
+  const tooMuch = await requestPayout("chef@test.dev", { amount: 150 });
+  assert.equal(tooMuch.status, 400);
+  assert.equal(tooMuch.body.available, 100);
+});
+
+test("POST /payout-requests holds the amount while it is pending", async () => {
+  const res = await requestPayout("chef@test.dev", {
+    amount: 40,
+    method: "bank",
+  });
+  assert.equal(res.status, 200);
+
+  const second = await requestPayout("chef@test.dev", { amount: 10 });
+  assert.equal(second.status, 409);
+
+  const balance = await earnings();
+  assert.equal(balance.pendingPayout, 40);
+  assert.equal(balance.available, 60);
+});
+
+test("GET /payout-requests is admin only", async () => {
+  const chef = await ctx.api.get("/payout-requests").set(auth("chef@test.dev"));
+  assert.equal(chef.status, 403);
+
+  const pending = await ctx.api
+    .get("/payout-requests?status=pending")
+    .set(auth("admin@test.dev"));
+  assert.equal(pending.status, 200);
+  assert.equal(pending.body.total, 1);
+  assert.equal(pending.body.items[0].amount, 40);
+});
+
+test("rejecting a payout frees the amount", async () => {
+  const id = await pendingPayoutId();
+  assert.equal((await decide("reject", id, "chef@test.dev")).status, 403);
+  assert.equal((await decide("cancel", id)).status, 404);
+  assert.equal((await decide("reject", "nope")).status, 400);
+  assert.equal((await decide("constructor", id)).status, 404);
+  assert.equal((await pendingPayoutId()).toString(), id.toString());
+
+  const res = await decide("reject", id);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.payout.status, "rejected");
+  assert.equal((await decide("approve", id)).status, 409);
+
+  const balance = await earnings();
+  assert.equal(balance.balance, 100);
+  assert.equal(balance.available, 100);
+});
+
+test("approving a payout debits the ledger once", async () => {
+  await requestPayout("chef@test.dev", { amount: 25 });
+  const id = await pendingPayoutId();
+
+  const res = await decide("approve", id);
+  assert.equal(res.status, 200);
+  assert.equal((await decide("approve", id)).status, 409);
+  assert.equal((await decide("approve", new ObjectId())).status, 409);
+
+  const balance = await earnings();
+  assert.equal(balance.totalPaidOut, 25);
+  assert.equal(balance.balance, 75);
+  assert.equal(balance.available, 75);
+
+  const audit = await ctx.db
+    .collection("auditLog")
+    .findOne({ action: "payout.approve", "target.id": id.toString() });
+  assert.equal(audit.actor, "admin@test.dev");
+});
+
+test("approval re-checks the balance against later refunds", async () => {
+  await requestPayout("chef@test.dev", { amount: 50 });
+  const id = await pendingPayoutId();
+
+  // a refund after the request takes the balance under the payout
+  await ctx.db.collection("chefLedger").insertOne({
+    entryKey: "refund:seeded",
+    chefEmail: "chef@test.dev",
+    type: "debit",
+    amountCents: 4000,
+    amount: 40,
+    createdAt: new Date(),
+  });
+
+  const res = await decide("approve", id);
+  assert.equal(res.status, 409);
+  assert.equal(res.body.balance, 35);
+  assert.equal((await pendingPayoutId()).toString(), id.toString());
+
+  assert.equal((await decide("reject", id)).status, 200);
+});
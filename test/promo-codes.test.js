@@ -0,0 +1,134 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { setupTestApp, auth, seedUser, seedMeal } = require("./helpers");
+
+let ctx;
+let meal;
+let otherMeal;
+before(async () => {
+  ctx = await setupTestApp();
+  const chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  const otherChef = await seedUser(ctx.db, "other-chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0002",
+  });
+  await seedUser(ctx.db, "buyer@test.dev");
+  await seedUser(ctx.db, "admin@test.dev", { role: "admin" });
+  meal = await seedMeal(ctx.db, chef, { price: 10 });
+  otherMeal = await seedMeal(ctx.db, otherChef, { price: 10 });
+});
+after(() => ctx.close());
+
+const createPromo = (email, body) =>
+  ctx.api.post("/promo-codes").set(auth(email)).send(body);
+
+const validate = (code, cartMeal = meal, quantity = 2) =>
+  ctx.api
+    .post("/promo-codes/validate")
+    .set(auth("buyer@test.dev"))
+    .send({ code, items: [{ mealId: cartMeal._id.toString(), quantity }] });
+
+const listCodes = async (email) =>
+  (await ctx.api.get("/promo-codes").set(auth(email))).body.items.map(
+    (promo) => promo.code
+  );
+
+test("POST /promo-codes validates the code", async () => {
+  const customer = await createPromo("buyer@test.dev", {
+    code: "MINE",
+    type: "fixed",
+    value: 1,
+  });
+  assert.equal(customer.status, 403);
+
+  const invalid = [
+    { code: "x", type: "fixed", value: 1 },
+    { code: "FREE", type: "gift", value: 1 },
+    { code: "FREE", type: "percent", value: 150 },
+    { code: "FREE", type: "fixed", value: 1, expiresAt: "someday" },
+    { code: "FREE", type: "fixed", value: 1, maxUses: 0 },
+  ];
+  for (const body of invalid) {
+    assert.equal((await createPromo("chef@test.dev", body)).status, 400);
+  }
+});
+
+test("POST /promo-codes creates chef and admin codes", async () => {
+  const res = await createPromo("chef@test.dev", {
+    code: " chef10 ",
+    type: "percent",
+    value: 10,
+    minOrderValue: 15,
+  });
+  assert.equal(res.status, 200);
+  const promo = await ctx.db
+    .collection("promoCodes")
+    .findOne({ code: "CHEF10" });
+  assert.equal(promo.chefEmail, "chef@test.dev");
+  assert.equal(promo.usedCount, 0);
+
+  const duplicate = await createPromo("chef@test.dev", {
+    code: "CHEF10",
+    type: "fixed",
+    value: 1,
+  });
+  assert.equal(duplicate.status, 409);
+
+  const site = await createPromo("admin@test.dev", {
+    code: "SITE2",
+    type: "fixed",
+    value: 2,
+  });
+  assert.equal(site.status, 200);
+});
+
+test("GET /promo-codes lists a chef's own codes, all for an admin", async () => {
+  assert.deepEqual(await listCodes("chef@test.dev"), ["CHEF10"]);
+  assert.deepEqual(await listCodes("other-chef@test.dev"), []);
+  assert.deepEqual((await listCodes("admin@test.dev")).sort(), [
+    "CHEF10",
+    "SITE2",
+  ]);
+});
+
+test("POST /promo-codes/validate prices the cart with the code", async () => {
+  const res = await validate("chef10");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.valid, true);
+  assert.equal(res.body.discount.amount, 2);
+  assert.equal(res.body.total, 18);
+
+  const tooSmall = await validate("CHEF10", meal, 1);
+  assert.equal(tooSmall.status, 400);
+  assert.equal(tooSmall.body.valid, false);
+
+  const wrongChef = await validate("CHEF10", otherMeal);
+  assert.equal(wrongChef.status, 400);
+
+  const site = await validate("SITE2", otherMeal);
+  assert.equal(site.body.total, 18);
+
+  assert.equal((await validate("NOPE")).status, 404);
+});
+
+test("DELETE /promo-codes/:id deactivates for the creator or an admin", async () => {
+  const promo = await ctx.db
+    .collection("promoCodes")
+    .findOne({ code: "CHEF10" });
+  const remove = (email, id = promo._id) =>
+    ctx.api.delete(`/promo-codes/${id}`).set(auth(email));
+
+  assert.equal((await remove("other-chef@test.dev")).status, 403);
+  assert.equal((await remove("chef@test.dev", "nope")).status, 400);
+  assert.equal((await remove("chef@test.dev", new ObjectId())).status, 404);
+
+  assert.equal((await remove("chef@test.dev")).status, 200);
+  assert.equal((await validate("CHEF10")).status, 404);
+
+  const site = await ctx.db.collection("promoCodes").findOne({ code: "SITE2" });
+  assert.equal((await remove("admin@test.dev", site._id)).status, 200);
+});
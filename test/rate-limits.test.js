@@ -0,0 +1,52 @@
+// limits stay on in this file (helpers only turns them off when unset)
+process.env.RATE_LIMIT_DISABLED = "false";
+process.env.RATE_LIMIT_FAVORITES = "2/3600";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestApp, auth, seedUser, seedMeal } = require("./helpers");
+
+let ctx;
+let meals;
+before(async () => {
+  ctx = await setupTestApp();
+  const chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  await seedUser(ctx.db, "fan@test.dev");
+  await seedUser(ctx.db, "admin@test.dev", { role: "admin" });
+  meals = [];
+  for (const foodName of ["Pho", "Bun cha", "Banh mi", "Com tam"]) {
+    meals.push(await seedMeal(ctx.db, chef, { foodName }));
+  }
+});
+after(() => ctx.close());
+
+const addFavorite = (email, meal) =>
+  ctx.api
+    .post("/favorites")
+    .set(auth(email))
+    .send({ mealId: meal._id.toString() });
+
+test("going over a limit answers 429 with Retry-After", async () => {
+  assert.equal((await addFavorite("fan@test.dev", meals[0])).status, 200);
+  assert.equal((await addFavorite("fan@test.dev", meals[1])).status, 200);
+
+  const limited = await addFavorite("fan@test.dev", meals[2]);
+  assert.equal(limited.status, 429);
+  const retryAfter = Number(limited.headers["retry-after"]);
+  assert.ok(retryAfter > 0 && retryAfter <= 3600);
+  assert.equal(limited.body.retryAfter, retryAfter);
+
+  const favorites = await ctx.db
+    .collection("favorites")
+    .countDocuments({ userEmail: "fan@test.dev" });
+  assert.equal(favorites, 2);
+});
+
+test("admins are not rate limited", async () => {
+  for (const meal of meals) {
+    assert.equal((await addFavorite("admin@test.dev", meal)).status, 200);
+  }
+});
@@ -0,0 +1,152 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  setupTestApp,
+  auth,
+  seedUser,
+  seedMeal,
+  placeOrder,
+} = require("./helpers");
+
+let ctx;
+let orderId;
+before(async () => {
+  ctx = await setupTestApp();
+  const chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  const otherChef = await seedUser(ctx.db, "other-chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0002",
+  });
+  await seedUser(ctx.db, "buyer@test.dev", { name: "<b>Buyer</b>" });
+  await seedUser(ctx.db, "stranger@test.dev");
+  await seedUser(ctx.db, "admin@test.dev", { role: "admin" });
+  const meal = await seedMeal(ctx.db, chef, { price: 10 });
+  const otherMeal = await seedMeal(ctx.db, otherChef, {
+    foodName: "=HYPERLINK(1)",
+    price: 8,
+  });
+
+  const placed = await placeOrder(ctx.api, "buyer@test.dev", meal, 2, {
+    userName: "<b>Buyer</b>",
+  });
+  orderId = placed.body.insertedId;
+  await placeOrder(ctx.api, "buyer@test.dev", otherMeal, 1);
+
+  // as the checkout webhook would leave it
+  await ctx.db
+    .collection("orders")
+    .updateOne(
+      { _id: new ObjectId(orderId) },
+      { $set: { paymentStatus: "paid", paymentIntentId: "pi_receipt" } }
+    );
+  await ctx.db.collection("payments").insertOne({
+    orderId,
+    status: "paid",
+    paymentIntentId: "pi_receipt",
+    amountCents: 2000,
+    currency: "usd",
+  });
+});
+after(() => ctx.close());
+
+const getReceipt = (email, id = orderId) =>
+  ctx.api.get(`/orders/${id}/receipt`).set(auth(email));
+
+const exportOrders = (email, query = "") =>
+  ctx.api.get(`/orders/export${query}`).set(auth(email));
+
+// csv body → rows of cells (no quoted commas in these fixtures)
+const parseCsv = (text) =>
+  text
+    .trim()
+    .split("\r\n")
+    .map((line) => line.split(","));
+
+test("GET /orders/:id/receipt renders the order and payment", async () => {
+  const res = await getReceipt("buyer@test.dev");
+  assert.equal(res.status, 200);
+  assert.match(res.headers["content-type"], /^text\/html/);
+  assert.match(res.text, /Chicken Biryani/);
+  assert.match(res.text, /20\.00 USD/);
+  assert.match(res.text, /Reference: pi_receipt/);
+  // user text is escaped
+  assert.match(res.text, /&lt;b&gt;Buyer&lt;\/b&gt;/);
+  assert.doesNotMatch(res.text, /<b>Buyer/);
+});
+
+test("GET /orders/:id/receipt for the customer, chef or an admin", async () => {
+  assert.equal((await getReceipt("chef@test.dev")).status, 200);
+  assert.equal((await getReceipt("admin@test.dev")).status, 200);
+  assert.equal((await getReceipt("stranger@test.dev")).status, 403);
+  assert.equal((await getReceipt("other-chef@test.dev")).status, 403);
+  assert.equal((await getReceipt("buyer@test.dev", "nope")).status, 400);
+  assert.equal(
+    (await getReceipt("buyer@test.dev", new ObjectId())).status,
+    404
+  );
+});
+
+test("GET /orders/:id/receipt?download=true is an attachment", async () => {
+  const res = await ctx.api
+    .get(`/orders/${orderId}/receipt?download=true`)
+    .set(auth("buyer@test.dev"));
+  assert.match(res.headers["content-disposition"], /^attachment/);
+});
+
+test("GET /orders/export is for chefs and admins", async () => {
+  const res = await exportOrders("buyer@test.dev");
+  assert.equal(res.status, 403);
+});
+
+test("GET /orders/export gives a chef only their own orders", async () => {
+  const res = await exportOrders("chef@test.dev");
+  assert.equal(res.status, 200);
+  assert.match(res.headers["content-type"], /^text\/csv/);
+  assert.match(res.headers["content-disposition"], /^attachment/);
+
+  const [header, ...rows] = parseCsv(res.text);
+  assert.equal(header[0], "orderId");
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0][0], orderId);
+  assert.equal(rows[0][header.indexOf("paymentStatus")], "paid");
+  assert.equal(rows[0][header.indexOf("total")], "20");
+});
+
+test("GET /orders/export gives an admin every order", async () => {
+  const res = await exportOrders("admin@test.dev");
+  const [, ...rows] = parseCsv(res.text);
+  assert.equal(rows.length, 2);
+
+  // a meal name can't become a spreadsheet formula
+  assert.match(res.text, /'=HYPERLINK\(1\) x1/);
+
+  const chefOnly = await exportOrders(
+    "admin@test.dev",
+    "?chefEmail=other-chef@test.dev"
+  );
+  assert.equal(parseCsv(chefOnly.text).length, 2);
+});
+
+test("GET /orders/export filters by status and date", async () => {
+  // both orders are still pending: header + 2 rows
+  const pending = await exportOrders("admin@test.dev", "?status=pending");
+  assert.equal(parseCsv(pending.text).length, 3);
+
+  const delivered = await exportOrders("admin@test.dev", "?status=delivered");
+  assert.equal(parseCsv(delivered.text).length, 1);
+
+  const future = await exportOrders("admin@test.dev", "?from=2999-01-01");
+  assert.equal(parseCsv(future.text).length, 1);
+
+  const badStatus = await exportOrders("admin@test.dev", "?status=lost");
+  assert.equal(badStatus.status, 400);
+  const inherited = await exportOrders("admin@test.dev", "?status=constructor");
+  assert.equal(inherited.status, 400);
+
+  const badDate = await exportOrders("admin@test.dev", "?from=someday");
+  assert.equal(badDate.status, 400);
+});
@@ -0,0 +1,135 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestApp, auth, seedUser, seedMeal } = require("./helpers");
+
+let ctx;
+const meals = {};
+before(async () => {
+  ctx = await setupTestApp();
+  const chefA = await seedUser(ctx.db, "a@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  const chefB = await seedUser(ctx.db, "b@test.dev", {
+    role: "chef",
+    chefId: "chef-0002",
+  });
+  // suspended, but their meals were never hidden
+  const flagged = await seedUser(ctx.db, "c@test.dev", {
+    role: "chef",
+    chefId: "chef-0003",
+    status: "fraud",
+  });
+  await seedUser(ctx.db, "new@test.dev");
+  await seedUser(ctx.db, "regular@test.dev");
+  await seedUser(ctx.db, "neighbour@test.dev");
+  await seedUser(ctx.db, "fan@test.dev");
+
+  meals.rice = await seedMeal(ctx.db, chefA, {
+    foodName: "Rice",
+    category: "rice",
+    avgRating: 3,
+  });
+  meals.soup = await seedMeal(ctx.db, chefB, {
+    foodName: "Soup",
+    category: "soup",
+    avgRating: 4,
+  });
+  meals.noodles = await seedMeal(ctx.db, chefB, {
+    foodName: "Noodles",
+    category: "noodles",
+    avgRating: 2,
+  });
+  meals.cake = await seedMeal(ctx.db, chefA, {
+    foodName: "Cake",
+    category: "dessert",
+    avgRating: 5,
+    totalReviews: 10,
+  });
+  meals.flagged = await seedMeal(ctx.db, flagged, {
+    foodName: "Flagged Soup",
+    category: "soup",
+    avgRating: 5,
+    totalReviews: 50,
+  });
+
+  const order = (userEmail, meal, daysAgo) => ({
+    userEmail,
+    chefEmail: meal.chefEmail,
+    items: [{ mealId: meal._id.toString(), quantity: 1 }],
+    orderStatus: "delivered",
+    createdAt: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000),
+  });
+  await ctx.db
+    .collection("orders")
+    .insertMany([
+      order("regular@test.dev", meals.soup, 1),
+      order("neighbour@test.dev", meals.soup, 20),
+      order("neighbour@test.dev", meals.noodles, 19),
+      order("fan@test.dev", meals.soup, 60),
+    ]);
+  await ctx.db.collection("favorites").insertOne({
+    userEmail: "fan@test.dev",
+    mealId: meals.cake._id.toString(),
+    addedTime: new Date(),
+  });
+  await ctx.db.collection("reviews").insertOne({
+    foodId: meals.rice._id.toString(),
+    reviewerEmail: "regular@test.dev",
+    rating: 1,
+    date: new Date(),
+  });
+});
+after(() => ctx.close());
+
+const names = (res) => res.body.meals.map((meal) => meal.foodName);
+
+test("GET /meals/recommended needs a login", async () => {
+  const res = await ctx.api.get("/meals/recommended");
+  assert.equal(res.status, 401);
+});
+
+test("new users get the top rated meals", async () => {
+  const res = await ctx.api
+    .get("/meals/recommended?limit=3")
+    .set(auth("new@test.dev"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.personalized, false);
+  assert.deepEqual(names(res), ["Cake", "Soup", "Rice"]);
+  assert.ok(res.body.meals.every((meal) => meal.reason === "top_rated"));
+  assert.ok(res.body.meals.every((meal) => meal.chefEmail === undefined));
+});
+
+test("history drives the ranking", async () => {
+  const res = await ctx.api
+    .get("/meals/recommended")
+    .set(auth("regular@test.dev"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.personalized, true);
+
+  // the neighbour who also ordered soup ordered noodles
+  assert.equal(res.body.meals[0].foodName, "Noodles");
+  assert.equal(res.body.meals[0].reason, "ordered_together");
+
+  // soup was ordered yesterday, rice got 1 star, the flagged chef is out
+  assert.ok(!names(res).includes("Soup"));
+  assert.ok(!names(res).includes("Rice"));
+  assert.ok(!names(res).includes("Flagged Soup"));
+
+  // topped up with the best rated that's left
+  assert.deepEqual(names(res), ["Noodles", "Cake"]);
+  assert.equal(res.body.meals[1].reason, "top_rated");
+  assert.ok(res.body.meals.every((meal) => meal.chefEmail === undefined));
+});
+
+test("meals the user already likes are not recommended back", async () => {
+  const res = await ctx.api.get("/meals/recommended").set(auth("fan@test.dev"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.personalized, true);
+
+  // cake is a favorite, soup an order from two months ago
+  assert.ok(!names(res).includes("Cake"));
+  assert.ok(!names(res).includes("Soup"));
+  const rice = res.body.meals.find((meal) => meal.foodName === "Rice");
+  assert.equal(rice.reason, "chef_you_like");
+});
@@ -0,0 +1,174 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestApp, auth, seedUser, seedMeal } = require("./helpers");
+
+let ctx;
+let meal;
+before(async () => {
+  ctx = await setupTestApp();
+  const chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  await seedUser(ctx.db, "buyer@test.dev");
+  await seedUser(ctx.db, "browser@test.dev");
+  meal = await seedMeal(ctx.db, chef);
+
+  // reviews need a delivered order of the meal
+  await ctx.db.collection("orders").insertOne({
+    userEmail: "buyer@test.dev",
+    chefEmail: chef.email,
+    items: [{ mealId: meal._id.toString(), quantity: 1 }],
+    orderStatus: "delivered",
+    paymentStatus: "paid",
+    createdAt: new Date(),
+  });
+});
+after(() => ctx.close());
+
+const postReview = (email, body) =>
+  ctx.api
+    .post("/reviews")
+    .set(auth(email))
+    .send({ foodId: meal._id.toString(), ...body });
+
+test("POST /reviews needs a delivered order", async () => {
+  const res = await postReview("browser@test.dev", { rating: 5 });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.errorType, "NOT_PURCHASED");
+});
+
+test("POST /reviews validates the rating", async () => {
+  const res = await postReview("buyer@test.dev", { rating: 4.5 });
+  assert.equal(res.status, 400);
+});
+
+test("POST /reviews stores a verified review and updates the meal", async () => {
+  const res = await postReview("buyer@test.dev", {
+    rating: 4,
+    comment: "Great",
+  });
+  assert.equal(res.status, 200);
+
+  const review = await ctx.db
+    .collection("reviews")
+    .findOne({ reviewerEmail: "buyer@test.dev" });
+  assert.equal(review.verifiedPurchase, true);
+
+  const updated = await ctx.db.collection("meals").findOne({ _id: meal._id });
+  assert.equal(updated.avgRating, 4);
+  assert.equal(updated.totalReviews, 1);
+  assert.equal(updated.ratingHistogram[4], 1);
+
+  const notification = await ctx.db
+    .collection("notifications")
+    .findOne({ userEmail: "chef@test.dev", type: "review" });
+  assert.ok(notification);
+});
+
+test("POST /reviews allows one review per meal", async () => {
+  const res = await postReview("buyer@test.dev", { rating: 2 });
+  assert.equal(res.status, 409);
+});
+
+test("GET /reviews and /reviews/:mealId list reviews", async () => {
+  const all = await ctx.api.get("/reviews");
+  assert.equal(all.status, 200);
+  assert.equal(all.body.total, 1);
+
+  const forMeal = await ctx.api
+    .get(`/reviews/${meal._id}`)
+    .set(auth("browser@test.dev"));
+  assert.equal(forMeal.status, 200);
+  assert.equal(forMeal.body.items[0].rating, 4);
+});
+
+test("GET /user-reviews returns only your own reviews", async () => {
+  const own = await ctx.api
+    .get("/user-reviews?email=buyer@test.dev")
+    .set(auth("buyer@test.dev"));
+  assert.equal(own.status, 200);
+  assert.equal(own.body.length, 1);
+
+  const other = await ctx.api
+    .get("/user-reviews?email=buyer@test.dev")
+    .set(auth("browser@test.dev"));
+  assert.equal(other.status, 403);
+});
+
+test("PATCH and DELETE /reviews/:id are owner only", async () => {
+  const review = await ctx.db
+    .collection("reviews")
+    .findOne({ reviewerEmail: "buyer@test.dev" });
+
+  const foreign = await ctx.api
+    .patch(`/reviews/${review._id}`)
+    .set(auth("browser@test.dev"))
+    .send({ rating: 1 });
+  assert.equal(foreign.status, 403);
+
+  const patched = await ctx.api
+    .patch(`/reviews/${review._id}`)
+    .set(auth("buyer@test.dev"))
+    .send({ rating: 2, comment: "Changed my mind" });
+  assert.equal(patched.status, 200);
+  let updated = await ctx.db.collection("meals").findOne({ _id: meal._id });
+  assert.equal(updated.avgRating, 2);
+
+  const deleted = await ctx.api
+    .delete(`/reviews/${review._id}`)
+    .set(auth("buyer@test.dev"));
+  assert.equal(deleted.status, 200);
+  updated = await ctx.db.collection("meals").findOne({ _id: meal._id });
+  assert.equal(updated.totalReviews, 0);
+});
+
+test("duplicate reviews from older data are dropped before indexing", async () => {
+  const review = (rating, date) => ({
+    foodId: legacyMeal._id.toString(),
+    reviewerEmail: "buyer@test.dev",
+    rating,
+    date: new Date(date),
+  });
+  let legacyMeal;
+  const legacy = await setupTestApp({
+    seed: async (db) => {
+      const chef = await seedUser(db, "chef@test.dev", {
+        role: "chef",
+        chefId: "chef-0001",
+      });
+      legacyMeal = await seedMeal(db, chef);
+      await db
+        .collection("reviews")
+        .insertMany([review(1, "2025-01-01"), review(5, "2025-06-01")]);
+      // no dedupe for this one: its index fails, the others still build
+      await db
+        .collection("users")
+        .insertMany([{ email: "twin@test.dev" }, { email: "twin@test.dev" }]);
+    },
+  });
+  try {
+    const reviews = await legacy.db.collection("reviews").find().toArray();
+    assert.equal(reviews.length, 1);
+    assert.equal(reviews[0].rating, 5);
+
+    const rated = await legacy.db
+      .collection("meals")
+      .findOne({ _id: legacyMeal._id });
+    assert.equal(rated.avgRating, 5);
+    assert.equal(rated.totalReviews, 1);
+
+    await assert.rejects(
+      legacy.db.collection("reviews").insertOne(review(3, "2025-07-01")),
+      { code: 11000 }
+    );
+    const entry = { entryKey: "order:legacy" };
+    await legacy.db.collection("chefLedger").insertOne({ ...entry });
+    await assert.rejects(
+      legacy.db.collection("chefLedger").insertOne({ ...entry }),
+      { code: 11000 }
+    );
+  } finally {
+    await legacy.close();
+  }
+});
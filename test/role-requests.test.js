@@ -0,0 +1,250 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestApp, auth, seedUser, seedMeal } = require("./helpers");
+
+let ctx;
+before(async () => {
+  ctx = await setupTestApp();
+  await seedUser(ctx.db, "admin@test.dev", { role: "admin" });
+  await seedUser(ctx.db, "cook@test.dev");
+  await seedUser(ctx.db, "hopeful@test.dev");
+});
+after(() => ctx.close());
+
+const application = {
+  kitchenAddress: "3 Kitchen Road",
+  experience: "5 years at a diner",
+  sampleDishes: ["Pho", "Bun cha"],
+};
+
+const requestRole = (email, body) =>
+  ctx.api
+    .post("/role-requests")
+    .set(auth(email))
+    .send({ userEmail: email, ...body });
+
+test("POST /role-requests validates the request", async () => {
+  const forOther = await ctx.api
+    .post("/role-requests")
+    .set(auth("cook@test.dev"))
+    .send({ userEmail: "hopeful@test.dev", requestType: "chef", application });
+  assert.equal(forOther.status, 403);
+
+  const badRole = await requestRole("cook@test.dev", { requestType: "owner" });
+  assert.equal(badRole.status, 400);
+
+  const noApplication = await requestRole("cook@test.dev", {
+    requestType: "chef",
+  });
+  assert.equal(noApplication.status, 400);
+});
+
+test("POST /role-requests allows one pending request per role", async () => {
+  const res = await requestRole("cook@test.dev", {
+    requestType: "chef",
+    application,
+  });
+  assert.equal(res.status, 200);
+
+  const again = await requestRole("cook@test.dev", {
+    requestType: "chef",
+    application,
+  });
+  assert.equal(again.status, 409);
+
+  const mine = await ctx.api
+    .get("/role-requests/me")
+    .set(auth("cook@test.dev"));
+  assert.equal(mine.body.total, 1);
+  assert.equal(mine.body.items[0].application.sampleDishes.length, 2);
+});
+
+test("GET /role-requests is admin only", async () => {
+  const denied = await ctx.api.get("/role-requests").set(auth("cook@test.dev"));
+  assert.equal(denied.status, 403);
+
+  const res = await ctx.api
+    .get("/role-requests?status=pending")
+    .set(auth("admin@test.dev"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 1);
+});
+
+test("accepting grants the role with a sequential chef id", async () => {
+  const request = await ctx.db
+    .collection("roleRequests")
+    .findOne({ userEmail: "cook@test.dev" });
+  const login = () => ctx.api.post("/auth/session").set(auth("cook@test.dev"));
+  const chefMeals = (accessToken) =>
+    ctx.api
+      .get("/meals/chef/cook@test.dev")
+      .set("Authorization", `Bearer ${accessToken}`);
+  const { accessToken: userToken } = (await login()).body;
+
+  const res = await ctx.api
+    .patch(`/role-requests/accept/${request._id}`)
+    .set(auth("admin@test.dev"))
+    .send({ note: "welcome" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.chefId, "chef-0001");
+
+  // the session from before carried role "user"; the next one is a chef's
+  assert.equal((await chefMeals(userToken)).status, 401);
+  const relogin = await login();
+  assert.equal(relogin.body.role, "chef");
+  assert.equal((await chefMeals(relogin.body.accessToken)).status, 200);
+
+  const user = await ctx.db
+    .collection("users")
+    .findOne({ email: "cook@test.dev" });
+  assert.equal(user.role, "chef");
+
+  const audit = await ctx.db
+    .collection("auditLog")
+    .findOne({ action: "role_request.accept" });
+  assert.equal(audit.actor, "admin@test.dev");
+
+  const twice = await ctx.api
+    .patch(`/role-requests/accept/${request._id}`)
+    .set(auth("admin@test.dev"));
+  assert.equal(twice.status, 409);
+});
+
+test("rejecting keeps the role and tells the user", async () => {
+  await requestRole("hopeful@test.dev", { requestType: "chef", application });
+  const request = await ctx.db
+    .collection("roleRequests")
+    .findOne({ userEmail: "hopeful@test.dev" });
+
+  const res = await ctx.api
+    .patch(`/role-requests/reject/${request._id}`)
+    .set(auth("admin@test.dev"))
+    .send({ note: "not yet" });
+  assert.equal(res.status, 200);
+
+  const user = await ctx.db
+    .collection("users")
+    .findOne({ email: "hopeful@test.dev" });
+  assert.equal(user.role, "user");
+
+  const notification = await ctx.db
+    .collection("notifications")
+    .findOne({ userEmail: "hopeful@test.dev", type: "role_request" });
+  assert.equal(notification.data.note, "not yet");
+});
+
+test("revoking a chef role hides their meals", async () => {
+  const chef = await ctx.db
+    .collection("users")
+    .findOne({ email: "cook@test.dev" });
+  const meal = await seedMeal(ctx.db, chef);
+
+  const self = await ctx.api
+    .patch("/users/revoke-role/admin@test.dev")
+    .set(auth("admin@test.dev"));
+  assert.equal(self.status, 400);
+
+  const res = await ctx.api
+    .patch("/users/revoke-role/cook@test.dev")
+    .set(auth("admin@test.dev"))
+    .send({ note: "closed kitchen" });
+  assert.equal(res.status, 200);
+
+  const user = await ctx.db
+    .collection("users")
+    .findOne({ email: "cook@test.dev" });
+  assert.equal(user.role, "user");
+  assert.equal(user.chefId, "chef-0001");
+
+  const hidden = await ctx.db.collection("meals").findOne({ _id: meal._id });
+  assert.equal(hidden.hidden, true);
+
+  const request = await ctx.db
+    .collection("roleRequests")
+    .findOne({ userEmail: "cook@test.dev" });
+  assert.equal(request.requestStatus, "revoked");
+});
+
+test("duplicate pending requests and chef ids from older data are cleaned up", async () => {
+  const legacy = await setupTestApp({
+    seed: async (db) => {
+      const first = await seedUser(db, "first@test.dev", {
+        role: "chef",
+        chefId: "chef-0042",
+        createdAt: new Date("2024-01-01"),
+      });
+      const second = await seedUser(db, "second@test.dev", {
+        role: "chef",
+        chefId: "chef-0042",
+        createdAt: new Date("2024-06-01"),
+      });
+      await seedMeal(db, first);
+      await seedMeal(db, second);
+      await db.collection("follows").insertOne({
+        userEmail: "fan@test.dev",
+        chefEmail: second.email,
+        chefId: "chef-0042",
+        followedAt: new Date(),
+      });
+
+      const pending = (requestTime) => ({
+        userEmail: "first@test.dev",
+        requestType: "admin",
+        requestStatus: "pending",
+        requestTime: new Date(requestTime),
+      });
+      await db
+        .collection("roleRequests")
+        .insertMany([pending("2024-02-01"), pending("2024-03-01")]);
+    },
+  });
+  try {
+    const { db } = legacy;
+    const first = await db
+      .collection("users")
+      .findOne({ email: "first@test.dev" });
+    const second = await db
+      .collection("users")
+      .findOne({ email: "second@test.dev" });
+    assert.equal(first.chefId, "chef-0042");
+    assert.notEqual(second.chefId, "chef-0042");
+    const meal = await db
+      .collection("meals")
+      .findOne({ chefEmail: "second@test.dev" });
+    assert.equal(meal.chefId, second.chefId);
+    const follow = await db
+      .collection("follows")
+      .findOne({ chefEmail: "second@test.dev" });
+    assert.equal(follow.chefId, second.chefId);
+
+    const requests = await db
+      .collection("roleRequests")
+      .find({}, { sort: { requestTime: 1 } })
+      .toArray();
+    assert.deepEqual(
+      requests.map((r) => r.requestStatus),
+      ["superseded", "pending"]
+    );
+
+    // both unique indexes are in place now
+    await assert.rejects(
+      db
+        .collection("users")
+        .updateOne(
+          { email: "second@test.dev" },
+          { $set: { chefId: "chef-0042" } }
+        ),
+      { code: 11000 }
+    );
+    await assert.rejects(
+      db.collection("roleRequests").insertOne({
+        userEmail: "first@test.dev",
+        requestType: "admin",
+        requestStatus: "pending",
+      }),
+      { code: 11000 }
+    );
+  } finally {
+    await legacy.close();
+  }
+});
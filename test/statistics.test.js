@@ -0,0 +1,117 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestApp, auth, seedUser, seedMeal } = require("./helpers");
+
+let ctx;
+before(async () => {
+  ctx = await setupTestApp();
+  await seedUser(ctx.db, "admin@test.dev", { role: "admin" });
+  const chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  const meal = await seedMeal(ctx.db, chef, {
+    avgRating: 4.5,
+    totalReviews: 2,
+  });
+
+  const order = (fields) => ({
+    userEmail: "buyer@test.dev",
+    chefEmail: chef.email,
+    items: [
+      {
+        mealId: meal._id.toString(),
+        mealName: meal.foodName,
+        quantity: 2,
+        lineTotal: 25,
+      },
+    ],
+    total: 25,
+    ...fields,
+  });
+  await ctx.db.collection("orders").insertMany([
+    order({
+      orderStatus: "delivered",
+      paymentStatus: "paid",
+      createdAt: new Date("2026-01-05T10:00:00Z"),
+    }),
+    order({
+      orderStatus: "delivered",
+      paymentStatus: "paid",
+      createdAt: new Date("2026-01-20T10:00:00Z"),
+    }),
+    order({
+      orderStatus: "pending",
+      paymentStatus: "pending",
+      createdAt: new Date("2026-02-02T10:00:00Z"),
+    }),
+    // 10 of 25 refunded → 15 revenue
+    order({
+      orderStatus: "delivered",
+      paymentStatus: "partially_refunded",
+      totalCents: 2500,
+      refundedCents: 1000,
+      createdAt: new Date("2026-01-25T10:00:00Z"),
+    }),
+    // all of it back → 0 revenue
+    order({
+      orderStatus: "cancelled",
+      paymentStatus: "refunded",
+      totalCents: 2500,
+      refundedCents: 2500,
+      createdAt: new Date("2026-01-26T10:00:00Z"),
+    }),
+  ]);
+});
+after(() => ctx.close());
+
+test("GET /admin/statistics is admin only", async () => {
+  const res = await ctx.api.get("/admin/statistics").set(auth("chef@test.dev"));
+  assert.equal(res.status, 403);
+});
+
+test("GET /admin/statistics aggregates orders, revenue and meals", async () => {
+  const res = await ctx.api
+    .get("/admin/statistics?interval=month")
+    .set(auth("admin@test.dev"));
+  assert.equal(res.status, 200);
+
+  assert.equal(res.body.totalUsers, 2);
+  // refunds come off the revenue
+  assert.equal(res.body.totalPaymentAmount, 65);
+  assert.equal(res.body.totalRefunded, 35);
+  assert.equal(res.body.ordersPending, 1);
+  assert.equal(res.body.ordersDelivered, 3);
+  assert.equal(res.body.revenueSeries.length, 1);
+  assert.equal(res.body.revenueSeries[0].orders, 4);
+  assert.deepEqual(res.body.chefs, [
+    { chefEmail: "chef@test.dev", revenue: 65, orders: 4 },
+  ]);
+  assert.equal(res.body.topMealsByRevenue[0].revenue, 65);
+  assert.equal(res.body.topMealsByRevenue[0].quantity, 8);
+  assert.equal(res.body.topMealsByRating[0].avgRating, 4.5);
+});
+
+test("GET /admin/statistics filters by date range", async () => {
+  const res = await ctx.api
+    .get("/admin/statistics?from=2026-01-15&to=2026-01-31")
+    .set(auth("admin@test.dev"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.totalPaymentAmount, 40);
+  assert.equal(res.body.ordersPending, 0);
+
+  const bad = await ctx.api
+    .get("/admin/statistics?interval=hour")
+    .set(auth("admin@test.dev"));
+  assert.equal(bad.status, 400);
+
+  const badTz = await ctx.api
+    .get("/admin/statistics?tz=Mars/Olympus")
+    .set(auth("admin@test.dev"));
+  assert.equal(badTz.status, 400);
+
+  const tz = await ctx.api
+    .get("/admin/statistics?tz=Asia/Ho_Chi_Minh")
+    .set(auth("admin@test.dev"));
+  assert.equal(tz.status, 200);
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestApp, auth, seedUser, seedMeal } = require("./helpers");
+
+let ctx;
+let chef;
+before(async () => {
+  ctx = await setupTestApp();
+  chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  await seedUser(ctx.db, "admin@test.dev", { role: "admin" });
+  await seedUser(ctx.db, "banned@test.dev", {
+    status: "fraud",
+    suspension: { reason: "chargebacks", at: new Date(), until: null },
+  });
+  await seedUser(ctx.db, "banned2@test.dev", {
+    status: "fraud",
+    suspension: {
+      reason: "chargebacks",
+      at: new Date(Date.now() - 86400000),
+      until: null,
+    },
+  });
+  await ctx.db.collection("follows").insertOne({
+    userEmail: "banned@test.dev",
+    chefEmail: chef.email,
+    chefId: chef.chefId,
+    followedAt: new Date(),
+  });
+
+  // suspended until yesterday, meals still hidden by it
+  const lapsed = await seedUser(ctx.db, "lapsed@test.dev", {
+    role: "chef",
+    chefId: "chef-0002",
+    status: "fraud",
+    suspension: {
+      reason: "late deliveries",
+      at: new Date(Date.now() - 7 * 86400000),
+      until: new Date(Date.now() - 86400000),
+    },
+  });
+  await seedMeal(ctx.db, lapsed, {
+    hidden: true,
+    hiddenReason: "chef_suspended",
+  });
+});
+after(() => ctx.close());
+
+test("suspended users can read but not write", async () => {
+  const read = await ctx.api.get("/notifications").set(auth("banned@test.dev"));
+  assert.equal(read.status, 200);
+
+  const as = auth("banned@test.dev");
+  const writes = [
+    () => ctx.api.patch("/notifications/read-all").set(as),
+    () => ctx.api.patch("/notification-preferences").set(as).send({}),
+    () => ctx.api.delete("/chefs/chef-0001/follow").set(as),
+    () => ctx.api.delete(`/favorites/${chef._id}`).set(as),
+    () => ctx.api.post("/promo-codes/validate").set(as).send({ code: "NOPE" }),
+  ];
+  for (const write of writes) {
+    const res = await write();
+    assert.equal(res.status, 403);
+    assert.equal(res.body.errorType, "FRAUD_USER");
+  }
+
+  const follow = await ctx.db
+    .collection("follows")
+    .findOne({ userEmail: "banned@test.dev" });
+  assert.ok(follow);
+});
+
+test("an expired suspension is lifted and the meals come back", async () => {
+  const profile = await ctx.api.get("/chefs/chef-0002");
+  assert.equal(profile.status, 200);
+  assert.equal(profile.body.meals.length, 1);
+
+  const own = await ctx.api
+    .get("/users/lapsed@test.dev")
+    .set(auth("lapsed@test.dev"));
+  assert.equal(own.body.status, "active");
+  assert.equal(own.body.suspension, undefined);
+  assert.equal(own.body.suspensionHistory.at(-1).action, "lifted");
+
+  const flagged = await ctx.api
+    .get("/admin/flagged-users")
+    .set(auth("admin@test.dev"));
+  assert.deepEqual(
+    flagged.body.items.map((user) => user.email),
+    ["banned@test.dev", "banned2@test.dev"]
+  );
+});
+
+test("GET /admin/flagged-users pages newest suspension first", async () => {
+  const first = await ctx.api
+    .get("/admin/flagged-users?limit=1")
+    .set(auth("admin@test.dev"));
+  assert.equal(first.body.items[0].email, "banned@test.dev");
+  assert.equal(first.body.total, 2);
+
+  const next = await ctx.api
+    .get(`/admin/flagged-users?limit=1&cursor=${first.body.nextCursor}`)
+    .set(auth("admin@test.dev"));
+  assert.equal(next.body.items[0].email, "banned2@test.dev");
+  assert.equal(next.body.nextCursor, null);
+});
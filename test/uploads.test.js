@@ -0,0 +1,155 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { setupTestApp, auth, seedUser, seedMeal } = require("./helpers");
+
+let ctx;
+let chef;
+let png;
+before(async () => {
+  ctx = await setupTestApp();
+  chef = await seedUser(ctx.db, "chef@test.dev", {
+    role: "chef",
+    chefId: "chef-0001",
+  });
+  await seedUser(ctx.db, "chef2@test.dev", {
+    role: "chef",
+    chefId: "chef-0002",
+  });
+  await seedUser(ctx.db, "user@test.dev");
+  png = await sharp({
+    create: { width: 800, height: 600, channels: 3, background: "#c0392b" },
+  })
+    .png()
+    .toBuffer();
+});
+after(() => ctx.close());
+
+const stored = (key) => fs.existsSync(path.join(ctx.storage.dir, key));
+
+const uploadMealImage = (email, mealId, file, options) =>
+  ctx.api
+    .post(`/meals/${mealId}/image`)
+    .set(auth(email))
+    .attach("image", file, options);
+
+test("POST /meals/:id/image stores every size and sets foodImage", async () => {
+  const meal = await seedMeal(ctx.db, chef);
+  const res = await uploadMealImage(chef.email, meal._id, png, {
+    filename: "dish.png",
+    contentType: "image/png",
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(Object.keys(res.body.sizes), ["thumb", "medium", "large"]);
+  assert.ok(res.body.keys.every(stored));
+
+  const updated = await ctx.db.collection("meals").findOne({ _id: meal._id });
+  assert.equal(updated.foodImage, res.body.sizes.large);
+
+  // not upscaled: the 800px source stays 800px wide
+  const served = await ctx.api.get(
+    new URL(res.body.sizes.large, "http://x").pathname
+  );
+  assert.equal(served.status, 200);
+  const { width, format } = await sharp(served.body).metadata();
+  assert.equal(format, "webp");
+  assert.equal(width, 800);
+
+  // replacing the image removes the old files
+  const again = await uploadMealImage(chef.email, meal._id, png, {
+    filename: "dish.png",
+    contentType: "image/png",
+  });
+  assert.equal(again.status, 200);
+  assert.ok(res.body.keys.every((key) => !stored(key)));
+});
+
+test("POST /meals/:id/image checks owner, type and size", async () => {
+  const meal = await seedMeal(ctx.db, chef);
+
+  const foreign = await uploadMealImage("chef2@test.dev", meal._id, png, {
+    filename: "dish.png",
+    contentType: "image/png",
+  });
+  assert.equal(foreign.status, 403);
+
+  const pdf = await uploadMealImage(chef.email, meal._id, Buffer.from("%PDF"), {
+    filename: "menu.pdf",
+    contentType: "application/pdf",
+  });
+  assert.equal(pdf.status, 415);
+
+  // right header, wrong content
+  const fake = await uploadMealImage(chef.email, meal._id, Buffer.from("hi"), {
+    filename: "dish.png",
+    contentType: "image/png",
+  });
+  assert.equal(fake.status, 415);
+
+  const huge = await uploadMealImage(
+    chef.email,
+    meal._id,
+    Buffer.alloc(6 * 1024 * 1024),
+    { filename: "dish.png", contentType: "image/png" }
+  );
+  assert.equal(huge.status, 413);
+
+  const missing = await ctx.api
+    .post(`/meals/${meal._id}/image`)
+    .set(auth(chef.email));
+  assert.equal(missing.status, 400);
+});
+
+test("deleting a meal removes its uploaded image", async () => {
+  const meal = await seedMeal(ctx.db, chef);
+  const upload = await uploadMealImage(chef.email, meal._id, png, {
+    filename: "dish.png",
+    contentType: "image/png",
+  });
+
+  const res = await ctx.api.delete(`/meals/${meal._id}`).set(auth(chef.email));
+  assert.equal(res.status, 200);
+  assert.ok(upload.body.keys.every((key) => !stored(key)));
+});
+
+test("POST /users/:email/image sets your profile image", async () => {
+  const res = await ctx.api
+    .post("/users/user@test.dev/image")
+    .set(auth("user@test.dev"))
+    .attach("image", png, { filename: "me.png", contentType: "image/png" });
+  assert.equal(res.status, 200);
+
+  const user = await ctx.db
+    .collection("users")
+    .findOne({ email: "user@test.dev" });
+  assert.equal(user.image, res.body.sizes.medium);
+
+  const other = await ctx.api
+    .post("/users/chef@test.dev/image")
+    .set(auth("user@test.dev"))
+    .attach("image", png, { filename: "me.png", contentType: "image/png" });
+  assert.equal(other.status, 403);
+
+  // editing other fields keeps the upload
+  const renamed = await ctx.api
+    .patch("/users/user@test.dev")
+    .set(auth("user@test.dev"))
+    .send({ name: "Renamed" });
+  assert.equal(renamed.status, 200);
+  const kept = await ctx.db
+    .collection("users")
+    .findOne({ email: "user@test.dev" });
+  assert.equal(kept.name, "Renamed");
+  assert.equal(kept.image, res.body.sizes.medium);
+  assert.ok(kept.imageUpload);
+  assert.ok(res.body.keys.every((key) => stored(key)));
+
+  // an image url from elsewhere replaces the upload
+  await ctx.api
+    .patch("/users/user@test.dev")
+    .set(auth("user@test.dev"))
+    .send({ name: "User", image: "https://img.example/me.png" });
+  assert.ok(res.body.keys.every((key) => !stored(key)));
+});